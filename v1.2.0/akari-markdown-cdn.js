@@ -0,0 +1,43 @@
+/*!
+ * AKARI-Markdown.js v1.2.0 - CDN Dependencies
+ * (c) 2026 h-o-w-a-r-d
+ * Released under the MIT License.
+ * Repository: https://github.com/h-o-w-a-r-d/AKARI-Markdown.js
+ */
+
+// 預設入口與 Worker 共用的 CDN 依賴
+
+export { Marked } from 'https://cdn.jsdelivr.net/npm/marked@12.0.0/lib/marked.esm.js';
+
+const HLJS_BASE = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/es';
+
+// 常見別名對應到 highlight.js 的語言檔名
+const HLJS_ALIASES = {
+    js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript',
+    py: 'python', rb: 'ruby', sh: 'bash', shell: 'bash', zsh: 'bash',
+    yml: 'yaml', html: 'xml', svg: 'xml', md: 'markdown', rs: 'rust',
+    'c++': 'cpp', 'c#': 'csharp', cs: 'csharp', kt: 'kotlin', golang: 'go'
+};
+
+// 重量級渲染器延遲到內容需要時才下載
+export const CDN_LOADERS = {
+    katex: () => import('https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.mjs'),
+    mhchem: () => import('https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/contrib/mhchem.mjs'),
+    hljs: () => import(`${HLJS_BASE}/core.min.js`),
+    mermaid: () => import('https://cdn.jsdelivr.net/npm/mermaid@10.9.0/dist/mermaid.esm.min.mjs'),
+    loadLanguage: async (name) => {
+        const file = HLJS_ALIASES[name.toLowerCase()] || name.toLowerCase();
+        // 語言名稱來自不受信任的 Markdown，只允許單純的檔名；其他名稱視為不存在的語言
+        if (!/^[a-z0-9-]+$/.test(file)) return null;
+
+        const url = `${HLJS_BASE}/languages/${file}.min.js`;
+        try {
+            return await import(url);
+        } catch (err) {
+            // 打錯或不支援的語言（404）不是錯誤，回傳 null；網路錯誤等照常拋出
+            const response = await fetch(url, { method: 'HEAD' }).catch(() => null);
+            if (response && response.status === 404) return null;
+            throw err;
+        }
+    }
+};
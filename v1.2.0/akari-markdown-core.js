@@ -0,0 +1,2804 @@
+/*!
+ * AKARI-Markdown.js v1.2.0 - Core
+ * (c) 2026 h-o-w-a-r-d
+ * Released under the MIT License.
+ * Repository: https://github.com/h-o-w-a-r-d/AKARI-Markdown.js
+ */
+
+import { AkariRenderer, completeMarkdown, scanFences, escapeHtml, hashCode, decodeHtml } from './akari-markdown-renderer.js';
+
+// 原始碼中的任務清單項目，例如 "- [ ] todo"、"> 1. [x] done"
+const TASK_PATTERN = /^((?:[ \t]*>)*[ \t]*(?:[-*+]|\d{1,9}[.)])[ \t]+\[)([ xX])(\](?:[ \t]|$))/;
+
+// 數值型屬性 → [options 欄位, 移除屬性時的預設值]
+const NUMERIC_ATTRIBUTES = {
+    'throttle': ['throttleInterval', 30],
+    'mermaid-debounce': ['mermaidDebounce', 300]
+};
+
+// follow 模式：距離底部在此範圍 (px) 內視為「貼底」
+const FOLLOW_THRESHOLD = 24;
+
+// 網址片段解碼；不合法的百分比編碼（如 #100%）保留原字串
+const decodeFragment = value => {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// 跨實例共用的 fence 渲染快取（SVG 字串）最多保留的筆數
+const FENCE_CACHE_LIMIT = 100;
+
+// 虛擬化：每個 chunk 累積到此長度（字元）後，在下一個安全的區塊邊界切開
+const VIRTUAL_CHUNK_LENGTH = 4000;
+
+// 虛擬化：預設在視窗上下各一個畫面高度內的 chunk 才掛載
+const VIRTUAL_ROOT_MARGIN = '100% 0px';
+
+// 尚未掛載過的 chunk 依原始碼估計高度（以 em 計，約略對應行高 1.6）
+const estimateHeight = source => source.split('\n')
+    .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / 100)), 0) * 1.6;
+
+// 圖表工具列：縮放範圍與每次按鈕 / 滾輪的倍率
+const DIAGRAM_ZOOM = { min: 0.25, max: 8, step: 1.25 };
+
+// 圖表工具列按鈕：[data-action, 文字, 說明]
+const DIAGRAM_ACTIONS = [
+    ['zoom-out', '−', 'Zoom out'],
+    ['zoom-in', '+', 'Zoom in'],
+    ['fit', 'Fit', 'Fit to width'],
+    ['fullscreen', '⛶', 'Fullscreen'],
+    ['source', 'Source', 'View source'],
+    ['download-svg', 'SVG', 'Download SVG'],
+    ['download-png', 'PNG', 'Download PNG']
+];
+
+/**
+ * 建立 <akari-markdown> 元素類別，所有依賴由呼叫端注入（不含任何 CDN import）。
+ * 適用於打包工具、離線內網與嚴格 CSP 環境。
+ *
+ * @param {object} deps
+ * @param {Function} deps.Marked   marked 的 Marked 類別，每個元素各自建立實例
+ * @param {object} deps.DOMPurify  DOMPurify 實例
+ * @param {object|Function} deps.katex    KaTeX 模組，或回傳它的非同步載入函式
+ * @param {object|Function} deps.hljs     highlight.js 實例，或回傳它的非同步載入函式
+ * @param {object|Function} deps.mermaid  mermaid 模組，或回傳它的非同步載入函式
+ * @param {Function} [deps.mhchem]  載入 KaTeX mhchem 擴充的非同步函式（已在打包中引入則免傳）
+ * @param {Function} [deps.loadLanguage]  (name) => Promise<module|null>，按需載入 highlight.js 語言定義；不存在的語言回傳 null
+ * @param {Function} [deps.createWorker]  () => Worker，config.worker 啟用時建立執行 serveRenderer() 的 Worker
+ * @param {Array<string|CSSStyleSheet>} [deps.styles] 注入 Shadow DOM 的樣式表 URL 或 Constructable Stylesheet
+ * @param {{ light?: Array<string|CSSStyleSheet>, dark?: Array<string|CSSStyleSheet> }} [deps.themes] 依配色切換的樣式表（Markdown 與 highlight.js 主題）
+ * @returns {typeof HTMLElement} 尚未註冊的元素類別，請自行呼叫 customElements.define
+ */
+export function createAkariMarkdown({ Marked, DOMPurify, katex, hljs, mermaid, mhchem, loadLanguage, createWorker, styles = [], themes = {} } = {}) {
+    // 重量級渲染器可以傳入載入函式，直到內容真正需要時才下載；null 代表尚未載入
+    const loaders = { katex, hljs, mermaid, mhchem };
+    const libs = {
+        katex: typeof katex === 'function' ? null : katex,
+        hljs: typeof hljs === 'function' ? null : hljs,
+        mermaid: typeof mermaid === 'function' ? null : mermaid
+    };
+    const pending = new Map();
+    const loaded = new Set();
+    const failed = new Set();
+
+    const unwrap = mod => (mod && mod.default) || mod;
+
+    // 自訂 fenced code 渲染器（lang → 定義），mermaid 也是其中之一
+    const fences = new Map();
+
+    // 同一個渲染器在所有實例間只載入一次
+    const loadRenderer = (name, load) => {
+        if (!pending.has(name)) {
+            pending.set(name, Promise.resolve().then(load).then(() => {
+                loaded.add(name);
+            }, err => {
+                failed.add(name);
+                console.warn(`[AkariMarkdown] Failed to load ${name}:`, err);
+            }));
+        }
+        return pending.get(name);
+    };
+
+    fences.set('mermaid', {
+        label: 'Mermaid',
+        cache: true,
+        load: libs.mermaid ? null : async () => {
+            libs.mermaid = unwrap(await loaders.mermaid());
+        },
+        async render(code, node, { element }) {
+            // mermaid 的設定是全域的，渲染前套用此實例的主題
+            element._initMermaidConfig();
+
+            const id = `mermaid-${Math.random().toString(36).substr(2, 9)}`;
+            try {
+                const { svg } = await libs.mermaid.render(id, code);
+                return svg;
+            } catch (err) {
+                // 清理可能產生的殘留 DOM (mermaid 有時會在 body 留垃圾)
+                const stray = document.getElementById('d' + id) || document.getElementById(id);
+                if (stray) stray.remove();
+                throw err;
+            }
+        }
+    });
+
+    // fence 渲染結果跨實例共用：鍵 → { source, result }，依使用順序淘汰
+    const fenceCache = new Map();
+    // 同一份圖表正在其他實例渲染時共用同一個 Promise：鍵 → { task, controller }（controller 屬於發起的實例）
+    const pendingFences = new Map();
+    // fence 一次只渲染一個：mermaid 的設定是全域的，同時渲染會互相干擾主題與 id
+    let fenceChain = Promise.resolve();
+    const runExclusive = task => {
+        const run = fenceChain.then(task);
+        fenceChain = run.catch(() => {});
+        return run;
+    };
+    const cacheFence = (key, entry) => {
+        fenceCache.delete(key);
+        fenceCache.set(key, entry);
+        if (fenceCache.size > FENCE_CACHE_LIMIT) fenceCache.delete(fenceCache.keys().next().value);
+    };
+
+    // 所有元素共用一個 Worker，以 channel 區分各元素的工作；false 代表無法使用
+    let worker = null;
+    let nextChannel = 0;
+    const workerClients = new Map();
+    const getWorker = () => {
+        if (worker !== null) return worker;
+        worker = false;
+        if (typeof createWorker !== 'function') return worker;
+
+        try {
+            worker = createWorker();
+        } catch (err) {
+            console.warn('[AkariMarkdown] Failed to create worker:', err);
+            return worker;
+        }
+        worker.addEventListener('message', ({ data }) => {
+            if (data.type === 'loaded') {
+                workerClients.forEach(client => client._onRendererLoaded(data.name));
+            } else if (workerClients.has(data.channel)) {
+                workerClients.get(data.channel)._onWorkerMessage(data);
+            }
+        });
+        // Worker 腳本載入失敗等錯誤：之後所有元素都改回主執行緒
+        worker.addEventListener('error', (e) => {
+            console.warn('[AkariMarkdown] Worker failed, falling back to the main thread:', e.message || e);
+            worker = false;
+            workerClients.forEach(client => client._onWorkerFailed());
+            workerClients.clear();
+        });
+        return worker;
+    };
+
+    // 色彩配置：auto 依 prefers-color-scheme 在 light / dark 間切換
+    const COLOR_SCHEMES = ['light', 'dark', 'auto'];
+    const MERMAID_THEMES = { light: 'default', dark: 'dark' };
+
+    return class AkariMarkdownElement extends HTMLElement {
+
+        static get observedAttributes() {
+            return ['theme', 'src', 'no-render', 'follow', 'streaming', ...Object.keys(NUMERIC_ATTRIBUTES)];
+        }
+
+        /**
+         * 註冊自訂 fenced code 渲染器，沿用 mermaid 的串流佔位 / 防抖 / 錯誤框流程。
+         *
+         * @param {string} lang  fence 的語言名稱，例如 'chart'
+         * @param {object} definition
+         * @param {Function} definition.render  async (code, node, ctx) => string | Node | void
+         * @param {Function} [definition.isComplete]  (code, { closed }) => boolean，預設為 fence 已閉合
+         * @param {Function} [definition.renderStreaming]  (code) => string，未完成時的佔位 HTML
+         * @param {Function} [definition.onError]  (err, code, node) => string | void，自訂錯誤框 HTML
+         * @param {Function} [definition.load]  首次使用前執行一次的非同步載入函式
+         * @param {string} [definition.label]  錯誤訊息中顯示的名稱
+         * @param {boolean} [definition.cache]  相同原始碼與主題的字串結果跨實例重複使用
+         */
+        static registerFence(lang, definition) {
+            if (!lang || !definition || typeof definition.render !== 'function') {
+                throw new TypeError('[AkariMarkdown] registerFence requires a lang and a render function');
+            }
+            fences.set(lang, definition);
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            // :state(streaming) 需要 ElementInternals；不支援的環境只是少了這個狀態
+            this._internals = typeof this.attachInternals === 'function' ? this.attachInternals() : null;
+
+            this.container = document.createElement('div');
+            this.container.classList.add('markdown-body');
+            this.container.setAttribute('part', 'body');
+
+            const hostStyle = document.createElement('style');
+            hostStyle.textContent = `
+                :host { display: block; overflow: hidden; text-align: left; } 
+                /* 主題預設值；外部以 --akari-* 自訂屬性覆寫 */
+                .markdown-body {
+                    --_fg: #e6edf3;
+                    --_link: #2f81f7;
+                    --_muted: #8b949e;
+                    --_border: #30363d;
+                    --_code-bg: #1e1e1e;
+                    --_fence-bg: rgba(255, 255, 255, 0.02);
+                    --_error: #ff6b6b;
+                    --_error-bg: rgba(255, 0, 0, 0.1);
+                    --_overlay-bg: #0d1117;
+                }
+                .markdown-body[data-theme="light"] {
+                    --_fg: #1f2328;
+                    --_link: #0969da;
+                    --_muted: #59636e;
+                    --_border: #d1d9e0;
+                    --_code-bg: #f6f8fa;
+                    --_fence-bg: rgba(0, 0, 0, 0.02);
+                    --_error: #d1242f;
+                    --_error-bg: rgba(209, 36, 47, 0.08);
+                    --_overlay-bg: #ffffff;
+                }
+                .markdown-body { 
+                    background: var(--akari-background, transparent); 
+                    color: var(--akari-color, var(--_fg));
+                    font-family: var(--akari-font-family, -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif); 
+                    font-size: var(--akari-font-size, 16px);
+                    line-height: var(--akari-line-height, 1.6); 
+                }
+                .markdown-body a {
+                    color: var(--akari-link-color, var(--_link));
+                }
+                .markdown-body code, .markdown-body pre {
+                    font-family: var(--akari-code-font-family, ui-monospace, SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace);
+                }
+                .markdown-body pre, .markdown-body pre code.hljs {
+                    background: var(--akari-code-background, var(--_code-bg));
+                }
+                .markdown-body pre {
+                    border-radius: var(--akari-code-radius, 6px);
+                }
+                .akari-fence { 
+                    display: flex; 
+                    justify-content: center; 
+                    margin: 1.5em 0; 
+                    background: var(--akari-fence-background, var(--_fence-bg));
+                    border-radius: 8px;
+                    padding: 10px;
+                    overflow-x: auto;
+                    transition: opacity 0.3s ease;
+                }
+                /* 原始碼退回模式 / 串流中模式的樣式 */
+                .akari-fence-source, .akari-fence-streaming {
+                    font-family: Consolas, Monaco, 'Andale Mono', monospace;
+                    font-size: 0.85em;
+                    color: var(--akari-muted-color, var(--_muted)); 
+                    white-space: pre-wrap;
+                    text-align: left;
+                    width: 100%;
+                    opacity: 0.8;
+                    border-left: 2px solid var(--akari-border-color, var(--_border));
+                    padding-left: 10px;
+                }
+                /* 錯誤顯示樣式 */
+                .akari-fence-error-msg {
+                    color: var(--akari-error-color, var(--_error));
+                    font-size: 0.8em;
+                    padding: 8px;
+                    background: var(--akari-error-background, var(--_error-bg));
+                    border-radius: 4px;
+                    margin-bottom: 5px;
+                    white-space: pre-wrap;
+                    font-family: monospace;
+                }
+                /* 圖表檢視器：工具列、可縮放平移的檢視區與全螢幕 */
+                .akari-diagram {
+                    flex-direction: column;
+                    align-items: stretch;
+                    overflow: hidden;
+                }
+                .akari-diagram-toolbar {
+                    display: flex;
+                    justify-content: flex-end;
+                    align-items: center;
+                    gap: 4px;
+                    margin-bottom: 6px;
+                    font-size: 12px;
+                    opacity: 0.7;
+                    transition: opacity 0.2s ease;
+                }
+                .akari-diagram:hover .akari-diagram-toolbar, .akari-diagram-fullscreen .akari-diagram-toolbar {
+                    opacity: 1;
+                }
+                .akari-diagram-toolbar button {
+                    font: inherit;
+                    color: inherit;
+                    background: transparent;
+                    border: 1px solid var(--akari-border-color, var(--_border));
+                    border-radius: 4px;
+                    padding: 2px 8px;
+                    cursor: pointer;
+                }
+                .akari-diagram-toolbar button[aria-pressed="true"] {
+                    background: var(--akari-fence-background, var(--_fence-bg));
+                    border-color: var(--akari-link-color, var(--_link));
+                }
+                .akari-diagram-zoom {
+                    color: var(--akari-muted-color, var(--_muted));
+                    min-width: 3.5em;
+                    text-align: right;
+                }
+                .akari-diagram-viewport {
+                    overflow: hidden;
+                    touch-action: none;
+                }
+                .akari-diagram-viewport[data-zoomed] {
+                    cursor: grab;
+                }
+                .akari-diagram-viewport[data-panning] {
+                    cursor: grabbing;
+                }
+                .akari-diagram-canvas {
+                    transform-origin: 0 0;
+                    text-align: center;
+                }
+                .akari-diagram-canvas svg {
+                    max-width: 100%;
+                    height: auto;
+                }
+                .akari-diagram-fullscreen {
+                    position: fixed;
+                    inset: 0;
+                    z-index: 2147483647;
+                    margin: 0;
+                    border-radius: 0;
+                    background: var(--akari-diagram-overlay-background, var(--_overlay-bg));
+                }
+                .akari-diagram-fullscreen .akari-diagram-viewport, .akari-diagram-fullscreen .akari-diagram-source {
+                    flex: 1;
+                    overflow: auto;
+                }
+                .akari-diagram-fullscreen .akari-diagram-viewport {
+                    overflow: hidden;
+                    cursor: grab;
+                }
+                .akari-diagram-fullscreen .akari-diagram-canvas svg {
+                    max-height: calc(100vh - 80px);
+                }
+                /* 渲染器載入中的佔位狀態 */
+                .akari-loading {
+                    opacity: 0.6;
+                }
+                .akari-fence-streaming::after {
+                    content: ' ▋';
+                    animation: blink 1s infinite;
+                }
+                /* 串流中新加入的文字 */
+                .akari-fade {
+                    animation: akari-fade-in var(--akari-fade-duration, 300ms) ease-out;
+                }
+                @keyframes akari-fade-in { from { opacity: 0; } }
+                /* 串流游標：字元由 streamingCursor 設定 */
+                .akari-cursor::after {
+                    content: attr(data-cursor);
+                    animation: blink 1s infinite;
+                }
+                @keyframes blink { 50% { opacity: 0; } }
+                /* 程式碼區塊工具列、行號與行高亮 */
+                .akari-code {
+                    position: relative;
+                    margin-bottom: 16px;
+                }
+                .akari-code > pre {
+                    margin-bottom: 0;
+                }
+                .akari-code-toolbar {
+                    position: absolute;
+                    top: 6px;
+                    right: 8px;
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 12px;
+                    opacity: 0.7;
+                    transition: opacity 0.2s ease;
+                }
+                .akari-code:hover .akari-code-toolbar {
+                    opacity: 1;
+                }
+                .akari-code-lang {
+                    color: var(--akari-muted-color, var(--_muted));
+                    font-family: var(--akari-code-font-family, ui-monospace, SFMono-Regular, Consolas, "Liberation Mono", Menlo, monospace);
+                }
+                .akari-code-copy {
+                    font: inherit;
+                    color: inherit;
+                    background: transparent;
+                    border: 1px solid var(--akari-border-color, var(--_border));
+                    border-radius: 4px;
+                    padding: 2px 8px;
+                    cursor: pointer;
+                }
+                .akari-line {
+                    display: inline-block;
+                    min-width: 100%;
+                }
+                .akari-line-highlight {
+                    background: var(--akari-line-highlight, rgba(255, 213, 0, 0.12));
+                }
+                .akari-code.line-numbers .akari-line::before {
+                    content: attr(data-line);
+                    display: inline-block;
+                    width: 2.5em;
+                    margin-right: 1em;
+                    text-align: right;
+                    color: var(--akari-muted-color, var(--_muted));
+                    user-select: none;
+                }
+                /* 標題錨點與目錄 */
+                .akari-heading-anchor {
+                    margin-left: 0.3em;
+                    color: var(--akari-muted-color, var(--_muted)) !important;
+                    text-decoration: none;
+                    opacity: 0;
+                    transition: opacity 0.2s ease;
+                }
+                :is(h1, h2, h3, h4, h5, h6):hover > .akari-heading-anchor, .akari-heading-anchor:focus {
+                    opacity: 1;
+                }
+                .akari-toc {
+                    margin-bottom: 16px;
+                    padding: 8px 16px;
+                    border-left: 2px solid var(--akari-border-color, var(--_border));
+                }
+                .akari-toc ul {
+                    margin: 0;
+                    padding-left: 1.2em;
+                }
+                .akari-toc > ul {
+                    padding-left: 0;
+                    list-style: none;
+                }
+                /* GitHub 風格提示區塊 */
+                .akari-alert {
+                    margin-bottom: 16px;
+                    padding: 8px 16px;
+                    border-left: 4px solid var(--_alert-color);
+                }
+                .akari-alert > :last-child {
+                    margin-bottom: 0;
+                }
+                .akari-alert-title {
+                    margin-top: 0;
+                    font-weight: 600;
+                    color: var(--_alert-color);
+                }
+                .akari-alert-note { --_alert-color: var(--akari-alert-note, #2f81f7); }
+                .akari-alert-tip { --_alert-color: var(--akari-alert-tip, #3fb950); }
+                .akari-alert-important { --_alert-color: var(--akari-alert-important, #a371f7); }
+                .akari-alert-warning { --_alert-color: var(--akari-alert-warning, #d29922); }
+                .akari-alert-caution { --_alert-color: var(--akari-alert-caution, #f85149); }
+                /* 註腳：定義留在原位但隱藏，統一列在文件結尾 */
+                .akari-footnote-def {
+                    display: none;
+                }
+                /* 虛擬化：chunk 各自成為區塊格式化環境，量到的高度包含邊距；註腳定義在原處顯示 */
+                .akari-chunk {
+                    display: flow-root;
+                }
+                .akari-virtual .akari-footnote-def {
+                    display: block;
+                    font-size: 0.85em;
+                    color: var(--akari-muted-color, var(--_muted));
+                }
+                .akari-virtual .akari-footnote-def::before {
+                    content: "[" attr(data-footnote) "]";
+                    float: left;
+                    margin-right: 0.5em;
+                }
+                .akari-footnotes {
+                    font-size: 0.85em;
+                    color: var(--akari-muted-color, var(--_muted));
+                }
+                .akari-footnote-backref {
+                    margin-left: 0.3em;
+                    text-decoration: none;
+                }
+                /* 任務清單 */
+                .task-list-item {
+                    list-style: none;
+                }
+                .task-list-item > .akari-task {
+                    margin: 0 0.4em 0 -1.4em;
+                    vertical-align: middle;
+                }
+                .markdown-body dt {
+                    font-weight: 600;
+                }
+                .markdown-body dd {
+                    margin: 0 0 8px 1.5em;
+                }
+                /* 數學式：未閉合的 $$ 佔位與 KaTeX 錯誤框（沿用 fence 的錯誤樣式） */
+                .akari-math-streaming {
+                    display: block;
+                    margin: 1em 0;
+                }
+                .akari-math-error {
+                    display: inline-block;
+                    max-width: 100%;
+                    vertical-align: middle;
+                }
+                .akari-math-error-display {
+                    display: block;
+                    margin: 1em 0;
+                }
+                .akari-math-error > span {
+                    display: block;
+                }
+            `;
+
+            this.shadowRoot.appendChild(hostStyle);
+            this.shadowRoot.appendChild(this._createSlot('header'));
+            this.shadowRoot.appendChild(this.container);
+            this.shadowRoot.appendChild(this._createSlot('footer'));
+            this._hostStyle = hostStyle;
+            this._injectShadowStyles();
+
+            this.options = {
+                theme: 'dark',        // 'light' | 'dark' | 'auto'
+                mermaidTheme: null,   // 未指定時跟隨 theme
+                throttleInterval: 30, 
+                mermaidDebounce: 300, 
+                sanitize: { preset: 'default' },
+                markedOptions: null,  // 例如 { breaks: true }，只影響這個元素
+                markedExtensions: [],
+                worker: false,        // true 時在 Web Worker 中解析與高亮（需要 createWorker）
+                optimisticCompletion: false,  // 串流中暫時補上尾端未閉合的強調、連結、表格與標籤
+                streamingCursor: false,       // true 或自訂字元，串流中在文字結尾顯示游標
+                fadeIn: false,                // 串流中新加入的文字淡入
+                diagramToolbar: false,        // 已渲染的圖表加上縮放、全螢幕、原始碼與下載工具列
+                virtualize: false,            // true 或 { rootMargin }：只掛載視窗附近的區塊（超長文件與對話紀錄）
+                hooks: {}
+            };
+
+            // 已回報過的消毒項目與數學錯誤，避免串流時每個 tick 重複觸發事件
+            this._reportedBlocks = new Set();
+            this._reportedMathErrors = new Set();
+
+            // 目前生效的配色，以及各配色已插入的樣式節點 / Constructable Stylesheet
+            this._theme = null;
+            this._themeLinks = {};
+            this._colorSchemeQuery = null;
+            this._onColorSchemeChange = () => this._applyTheme();
+
+            this._renderTimer = null;
+            this._fenceTimer = null;
+            this._fenceSources = new WeakMap();   // 已渲染 fence 節點 → 原始碼
+            this._latestMarkdown = '';
+            this._isRendering = false;
+            this._isFenceWorking = false;
+            this._fenceQueue = new Map();    // lang:data-code → 等待渲染的 fence 節點
+            this._fenceJob = null;           // 渲染中的 { node, controller }
+            this._diagramViews = new WeakMap();   // 圖表節點 → { scale, x, y }
+            this._fullscreenDiagram = null;
+            this._onDiagramKeydown = (e) => {
+                if (e.key === 'Escape' && this._fullscreenDiagram) this._toggleDiagramFullscreen(this._fullscreenDiagram, false);
+            };
+            this._streaming = false;   // 內容仍在追加中：影響樂觀補全、串流游標與淡入
+            this._streamMode = false;  // beginStream() 明確開始的串流，直到 endStream()
+            this._streamFinished = null;
+
+            // 增量串流狀態：已凍結（不再重新解析）的原始碼、長度、行數與對應的 DOM 節點數
+            this._incremental = false;
+            // links：凍結區內的連結定義；seen：凍結區渲染時已知的全部定義
+            this._frozen = { markdown: '', length: 0, line: 1, nodes: 0, slugs: new Map(), links: {}, seen: {} };
+
+            this._awaitingRenderers = new Set();
+            this._hydratedOnly = false;   // hydrate() 沒有提供原始碼：渲染器載入後不可重新解析
+
+            // 虛擬化：依頂層區塊切成的 chunk；generation 在渲染器載入後遞增，舊的 HTML 需重新產生
+            this._virtual = { chunks: [], links: {}, observer: null, generation: 0 };
+
+            // Worker 模式：此元素的 channel、最新工作編號與等待中的工作
+            this._workerChannel = null;
+            this._workerJob = 0;
+            this._workerPending = null;
+            this._renderQueued = false;
+
+            // 宣告式設定：light DOM 內容觀察與 src 載入
+            this._lightMarkdown = null;
+            this._lightObserver = null;
+            this._srcController = null;
+
+            // follow 模式：最近的捲動容器、是否仍貼底、上次的 scrollTop (用來判斷使用者往上捲)
+            this._scroller = null;
+            this._following = true;
+            this._lastScrollTop = 0;
+            this._resizeObserver = null;
+            this._onScroll = () => this._handleScroll();
+
+            // _revealedHash 記錄已捲動過的網址 hash
+            this._revealedHash = null;
+            this._onHashChange = () => {
+                this._revealedHash = null;
+                this._revealHash();
+            };
+
+            this._initLibraries();
+            this._applyTheme();
+
+            this.container.addEventListener('click', (e) => this._onContainerClick(e));
+            this.container.addEventListener('pointerdown', (e) => this._onDiagramPointerDown(e));
+            this.container.addEventListener('wheel', (e) => this._onDiagramWheel(e), { passive: false });
+            this.container.addEventListener('animationend', (e) => {
+                if (e.target.classList && e.target.classList.contains('akari-fade')) this._settleFade(e.target);
+            });
+        }
+
+        connectedCallback() {
+            this._watchColorScheme(true);
+
+            // 框架直接修改 <akari-markdown> 內的文字時自動重新渲染
+            if (!this._lightObserver && typeof MutationObserver === 'function') {
+                this._lightObserver = new MutationObserver(() => this._renderLightDom());
+                this._lightObserver.observe(this, { childList: true, characterData: true, subtree: true });
+            }
+            this._renderLightDom();
+            this._watchScroll(this.hasAttribute('follow'));
+            window.addEventListener('hashchange', this._onHashChange);
+        }
+
+        disconnectedCallback() {
+            this._watchColorScheme(false);
+            this._watchScroll(false);
+            window.removeEventListener('hashchange', this._onHashChange);
+
+            if (this._lightObserver) {
+                this._lightObserver.disconnect();
+                this._lightObserver = null;
+            }
+            this._lightMarkdown = null;
+            this._releaseWorker();
+            if (this._fullscreenDiagram) this._toggleDiagramFullscreen(this._fullscreenDiagram, false);
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue) return;
+
+            if (name === 'theme') {
+                this._applyTheme();
+            } else if (name === 'src') {
+                this._loadSrc(newValue);
+                // 移除 src：改回顯示 light DOM 的 Markdown
+                if (newValue === null && this.isConnected) {
+                    this._lightMarkdown = null;
+                    this._renderLightDom();
+                }
+            } else if (name === 'no-render') {
+                if (newValue === null && this.isConnected) this._renderLightDom();
+            } else if (name === 'follow') {
+                if (this.isConnected) this._watchScroll(newValue !== null);
+            } else if (name === 'streaming') {
+                if (newValue !== null) {
+                    this._startStream();
+                } else {
+                    this._streamFinished = this._finishStream();
+                }
+            } else if (NUMERIC_ATTRIBUTES[name]) {
+                const [option, fallback] = NUMERIC_ATTRIBUTES[name];
+                const number = Number(newValue);
+                this.options[option] = newValue !== null && Number.isFinite(number) && number >= 0 ? number : fallback;
+            }
+        }
+
+        // 只有 light DOM 的 Markdown 真的改變時才渲染，slot 內容或 value 設定不受影響
+        _renderLightDom() {
+            if (this.hasAttribute('no-render') || this.hasAttribute('src')) return;
+
+            const markdown = this._lightDomMarkdown();
+            if (markdown === this._lightMarkdown) return;
+            this._lightMarkdown = markdown;
+
+            // 伺服器端預先渲染的 <template data-akari-html> 只在第一次接手，之後的變更照常渲染
+            const prerendered = this.querySelector(':scope > template[data-akari-html]');
+            if (prerendered && !this._latestMarkdown) {
+                this.hydrate(prerendered.innerHTML, markdown);
+                return;
+            }
+
+            if (markdown.length > 0) {
+                this.render(markdown);
+            }
+        }
+
+        // 只允許同源 URL，避免把任意遠端內容當成 Markdown 載入
+        async _loadSrc(src) {
+            if (this._srcController) this._srcController.abort();
+            this._srcController = null;
+            if (!src) return;
+
+            const controller = new AbortController();
+            this._srcController = controller;
+
+            try {
+                const url = new URL(src, location.href);
+                if (url.origin !== location.origin) {
+                    throw new Error(`src must be same-origin: ${url.href}`);
+                }
+
+                const response = await fetch(url, { signal: controller.signal, credentials: 'same-origin' });
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch ${url.href}: ${response.status}`);
+                }
+                const text = await response.text();
+                if (controller.signal.aborted) return;
+
+                await this.render(text, true);
+                this._emit('akari:src-loaded', { src: url.href, length: text.length });
+            } catch (err) {
+                if (err.name === 'AbortError') return;
+                console.error('[AkariMarkdown] Src Error:', err);
+                this._emit('akari:render-error', { error: err, source: src });
+            } finally {
+                if (this._srcController === controller) this._srcController = null;
+            }
+        }
+
+        // 串流開始：:state(streaming) 生效，樂觀補全、游標與淡入持續作用直到 endStream()
+        beginStream() {
+            this.setAttribute('streaming', '');
+        }
+
+        // 串流結束：立即以原文完整渲染一次，圖表不等待 mermaidDebounce
+        endStream() {
+            if (this.hasAttribute('streaming')) {
+                this.removeAttribute('streaming');
+            } else {
+                // 沒有 beginStream()（例如只用 appendChunk()）時移除屬性不會觸發回呼，直接完成最終渲染
+                this._streamFinished = this._finishStream();
+            }
+            return this._streamFinished;
+        }
+
+        set streaming(enabled) {
+            this.toggleAttribute('streaming', Boolean(enabled));
+        }
+
+        get streaming() {
+            return this.hasAttribute('streaming');
+        }
+
+        _startStream() {
+            this._streamMode = true;
+            this._streaming = true;
+            this._setCustomState('streaming', true);
+            this._emit('akari:stream-start', { length: this._latestMarkdown.length });
+        }
+
+        async _finishStream() {
+            this._streamMode = false;
+            this._streaming = false;
+            this._setCustomState('streaming', false);
+
+            // 整份重新解析作為校正，但以 _updateDOM 比對更新，保留已渲染的圖表、選取與焦點
+            this._clearTimers();
+            this._incremental = false;
+            await this._performRender();
+            this._scheduleFenceRender(0);
+            this._emit('akari:stream-end', { length: this._latestMarkdown.length });
+        }
+
+        _setCustomState(name, enabled) {
+            const states = this._internals && this._internals.states;
+            if (!states) return;
+            try {
+                if (enabled) states.add(name);
+                else states.delete(name);
+            } catch (e) {
+                // 舊版 Chromium 只接受 --name 形式
+                if (enabled) states.add(`--${name}`);
+                else states.delete(`--${name}`);
+            }
+        }
+
+        set follow(enabled) {
+            this.toggleAttribute('follow', Boolean(enabled));
+        }
+
+        get follow() {
+            return this.hasAttribute('follow');
+        }
+
+        // follow 模式下目前是否貼在底部 (使用者往上捲時為 false)
+        get following() {
+            return this.follow && this._following;
+        }
+
+        // 捲到底並恢復跟隨
+        scrollToBottom() {
+            const scroller = this._scroller || this._findScroller();
+            scroller.scrollTop = scroller.scrollHeight;
+            this._lastScrollTop = scroller.scrollTop;
+            if (this.follow) this._setFollowing(true);
+        }
+
+        // 往上穿越 shadow root 找最近可捲動的祖先，找不到就用整頁
+        _findScroller() {
+            let node = this.parentNode || this.getRootNode().host;
+            while (node && node.nodeType === Node.ELEMENT_NODE) {
+                const { overflowY } = getComputedStyle(node);
+                if (overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay') {
+                    return node;
+                }
+                node = node.parentNode || (node.getRootNode && node.getRootNode().host);
+            }
+            return document.scrollingElement || document.documentElement;
+        }
+
+        _watchScroll(enabled) {
+            if (this._scroller) {
+                const target = this._scroller === document.scrollingElement ? document : this._scroller;
+                target.removeEventListener('scroll', this._onScroll);
+                this._scroller = null;
+            }
+            if (this._resizeObserver) {
+                this._resizeObserver.disconnect();
+                this._resizeObserver = null;
+            }
+            if (!enabled) return;
+
+            this._scroller = this._findScroller();
+            this._lastScrollTop = this._scroller.scrollTop;
+            const target = this._scroller === document.scrollingElement ? document : this._scroller;
+            target.addEventListener('scroll', this._onScroll, { passive: true });
+
+            // 圖表、圖片、公式等非同步內容撐高時也要跟上
+            if (typeof ResizeObserver === 'function') {
+                this._resizeObserver = new ResizeObserver(() => this._followTail());
+                this._resizeObserver.observe(this.container);
+            }
+            this._following = true;
+            this._followTail();
+        }
+
+        // 只有使用者往上捲才暫停；內容長高造成的離底不算
+        _handleScroll() {
+            const scroller = this._scroller;
+            if (!scroller) return;
+
+            const top = scroller.scrollTop;
+            const atBottom = scroller.scrollHeight - top - scroller.clientHeight <= FOLLOW_THRESHOLD;
+            if (atBottom) {
+                this._setFollowing(true);
+            } else if (top < this._lastScrollTop) {
+                this._setFollowing(false);
+            }
+            this._lastScrollTop = top;
+        }
+
+        _followTail() {
+            if (!this._scroller || !this._following) return;
+            this._scroller.scrollTop = this._scroller.scrollHeight;
+            this._lastScrollTop = this._scroller.scrollTop;
+        }
+
+        _setFollowing(following) {
+            if (following === this._following) return;
+            this._following = following;
+            this._emit('follow-changed', { following });
+        }
+
+        /**
+         * 依文件順序回傳標題樹。
+         * @returns {Array<{ id: string, level: number, text: string, children: Array }>}
+         */
+        getOutline() {
+            const root = { level: 0, children: [] };
+            const stack = [root];
+
+            // 虛擬化時未掛載的 chunk 不在 DOM 中，改用切分時建立的標題索引
+            const headings = this._virtual.chunks.length > 0
+                ? this._virtual.chunks.flatMap(chunk => chunk.headings)
+                : Array.from(this.container.querySelectorAll('h1, h2, h3, h4, h5, h6'), heading => ({
+                    id: heading.id,
+                    level: Number(heading.tagName[1]),
+                    text: this._headingText(heading)
+                }));
+
+            headings.forEach(heading => {
+                if (!heading.id) return;
+                const item = { ...heading, children: [] };
+                while (stack[stack.length - 1].level >= item.level) stack.pop();
+                stack[stack.length - 1].children.push(item);
+                stack.push(item);
+            });
+            return root.children;
+        }
+
+        // 標題位於 Shadow DOM 內，網址的 #hash 無法直接定位，改由這裡捲動
+        scrollToHeading(id, options = {}) {
+            const target = String(id || '').replace(/^#/, '');
+            const heading = target && (this.shadowRoot.getElementById(target) || this._mountAnchor(target));
+            if (!heading) return false;
+
+            if (this.follow) this._setFollowing(false);
+            heading.scrollIntoView({ block: 'start', ...options });
+            return true;
+        }
+
+        _headingText(heading) {
+            const clone = heading.cloneNode(true);
+            clone.querySelectorAll('.akari-heading-anchor, .katex-mathml').forEach(node => node.remove());
+            return clone.textContent.trim();
+        }
+
+        // [[toc]] 佔位節點在每次渲染後依目前的標題重新填入
+        _renderToc() {
+            const navs = this.container.querySelectorAll('nav.akari-toc');
+            if (navs.length === 0) return;
+
+            const build = items => items.length === 0 ? '' : `<ul>${items.map(item =>
+                `<li><a href="#${encodeURIComponent(item.id)}" part="toc-link">${escapeHtml(item.text)}</a>${build(item.children)}</li>`
+            ).join('')}</ul>`;
+            const html = build(this.getOutline());
+
+            navs.forEach(nav => {
+                if (nav.innerHTML !== html) nav.innerHTML = html;
+            });
+        }
+
+        // 依參照出現順序為註腳編號，並在文件結尾重建註腳區
+        _renderFootnotes() {
+            const previous = this.container.querySelector(':scope > section.akari-footnotes');
+            if (previous) previous.remove();
+
+            // 虛擬化時只有部分定義在 DOM 中，無法統一編號：定義留在原處，參照顯示標籤
+            if (this._virtualOptions()) {
+                this.container.querySelectorAll('.akari-footnote-def').forEach(def => {
+                    def.id = `fn-${def.dataset.footnote}`;
+                });
+                this.container.querySelectorAll('a.akari-footnote-ref').forEach(ref => {
+                    ref.textContent = ref.dataset.footnote;
+                });
+                return;
+            }
+
+            const definitions = new Map();
+            this.container.querySelectorAll('.akari-footnote-def').forEach(def => {
+                if (!definitions.has(def.dataset.footnote)) definitions.set(def.dataset.footnote, def);
+            });
+
+            const numbers = new Map();
+            this.container.querySelectorAll('a.akari-footnote-ref').forEach(ref => {
+                const label = ref.dataset.footnote;
+                if (!definitions.has(label)) return;
+
+                if (!numbers.has(label)) numbers.set(label, { number: numbers.size + 1, refs: 0 });
+                const entry = numbers.get(label);
+                entry.refs++;
+                ref.id = entry.refs === 1 ? `fnref-${label}` : `fnref-${label}-${entry.refs}`;
+                ref.textContent = String(entry.number);
+            });
+            if (numbers.size === 0) return;
+
+            const list = document.createElement('ol');
+            numbers.forEach((entry, label) => {
+                const item = document.createElement('li');
+                item.id = `fn-${label}`;
+                definitions.get(label).childNodes.forEach(node => item.appendChild(node.cloneNode(true)));
+
+                const backref = document.createElement('a');
+                backref.className = 'akari-footnote-backref';
+                backref.href = `#fnref-${encodeURIComponent(label)}`;
+                backref.setAttribute('aria-label', 'Back to reference');
+                backref.textContent = '↩';
+                (item.lastElementChild && item.lastElementChild.tagName === 'P' ? item.lastElementChild : item).appendChild(backref);
+
+                list.appendChild(item);
+            });
+
+            const section = document.createElement('section');
+            section.className = 'akari-footnotes';
+            section.setAttribute('part', 'footnotes');
+            section.append(document.createElement('hr'), list);
+            this.container.appendChild(section);
+        }
+
+        // 勾選框帶有渲染時記錄的原始碼行號 (data-line)；沒有時依出現順序與原始碼的任務項目對應
+        _onTaskToggle(input) {
+            const tasks = this._taskLines();
+            let index = Array.from(this.container.querySelectorAll('input[data-task]')).indexOf(input);
+
+            // 虛擬化：前面的 chunk 不一定在 DOM 中，改從原始碼計算此 chunk 之前的任務數
+            const chunkNode = input.closest('.akari-chunk');
+            if (chunkNode && this._virtual.chunks.length > 0) {
+                const chunk = this._virtual.chunks[chunkNode.dataset.chunk];
+                const line = this._latestMarkdown.slice(0, chunk.start).split('\n').length;
+                index = tasks.filter(task => task.line < line).length
+                    + Array.from(chunkNode.querySelectorAll('input[data-task]')).indexOf(input);
+            }
+            const line = Number(input.dataset.line);
+            const source = line > 0 ? this._latestMarkdown.split('\n')[line - 1] : undefined;
+            const task = source !== undefined && TASK_PATTERN.test(source) ? { line, source } : tasks[index];
+            if (!task) return;
+
+            const replacement = task.source.replace(TASK_PATTERN, (match, before, mark, after) => `${before}${input.checked ? 'x' : ' '}${after}`);
+            this._emit('task-toggled', { index, checked: input.checked, line: task.line, source: task.source, replacement });
+        }
+
+        // 回傳原始碼中每個任務項目的行號 (1 起算) 與該行內容，略過 code block 內的行
+        _taskLines() {
+            const text = this._latestMarkdown;
+            const blocks = scanFences(text);
+            const tasks = [];
+            let offset = 0;
+
+            text.split('\n').forEach((line, i) => {
+                const inFence = blocks.some(block => offset > block.start && offset < block.end);
+                if (!inFence && TASK_PATTERN.test(line)) {
+                    tasks.push({ line: i + 1, source: line });
+                }
+                offset += line.length + 1;
+            });
+            return tasks;
+        }
+
+        // 網址帶有對應標題的 #hash 時捲動一次（串流中標題出現時也會觸發）
+        _revealHash() {
+            const id = decodeFragment(location.hash.slice(1));
+            if (!id || id === this._revealedHash) return;
+            if (this.scrollToHeading(id)) {
+                this._revealedHash = id;
+            }
+        }
+
+        // 子元素帶 slot 屬性的屬於 header / footer，不算在 Markdown 原文內
+        _lightDomMarkdown() {
+            return Array.from(this.childNodes)
+                .filter(node => !(node.nodeType === Node.ELEMENT_NODE && (node.hasAttribute('slot') || node.localName === 'template')))
+                .map(node => node.textContent)
+                .join('')
+                .trim();
+        }
+
+        _createSlot(name) {
+            const slot = document.createElement('slot');
+            slot.name = name;
+            return slot;
+        }
+
+        set value(val) {
+            this.render(val);
+        }
+
+        get value() {
+            return this._latestMarkdown;
+        }
+
+        set config(opts) {
+            this.options = { ...this.options, ...opts };
+            // 渲染器先換上新設定，主題切換觸發的重新渲染才會套用
+            this._renderer.options = this.options;
+            const parserChanged = 'markedOptions' in opts || 'markedExtensions' in opts;
+            if (parserChanged) this._renderer.createParser();
+
+            this._applyTheme();
+            this._initMermaidConfig();
+
+            if ('virtualize' in opts) {
+                this._resetVirtual();
+                if (this._latestMarkdown) this._performRender(true);
+            }
+            if ('diagramToolbar' in opts) {
+                this.container.querySelectorAll('[data-fence][data-rendered="true"]').forEach(node => {
+                    if (this.options.diagramToolbar) this._attachDiagramToolbar(node);
+                    else this._detachDiagramToolbar(node);
+                });
+            }
+            if (parserChanged && this._latestMarkdown) this._performRender(true);
+        }
+
+        // theme 屬性優先於 config.theme；非 light/dark/auto 的舊值視為 mermaid 主題名稱
+        _resolveTheme() {
+            const attr = this.getAttribute('theme');
+            const theme = COLOR_SCHEMES.includes(attr) ? attr : this.options.theme;
+
+            if (theme === 'auto') {
+                return this._prefersDark() ? 'dark' : 'light';
+            }
+            return theme === 'light' ? 'light' : 'dark';
+        }
+
+        _prefersDark() {
+            return typeof matchMedia === 'function' && matchMedia('(prefers-color-scheme: dark)').matches;
+        }
+
+        _watchColorScheme(enabled) {
+            if (typeof matchMedia !== 'function') return;
+
+            if (enabled && !this._colorSchemeQuery) {
+                this._colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+                this._colorSchemeQuery.addEventListener('change', this._onColorSchemeChange);
+            } else if (!enabled && this._colorSchemeQuery) {
+                this._colorSchemeQuery.removeEventListener('change', this._onColorSchemeChange);
+                this._colorSchemeQuery = null;
+            }
+        }
+
+        // 同時切換 Markdown、highlight.js 與 mermaid 的主題
+        _applyTheme() {
+            const theme = this._resolveTheme();
+            if (theme === this._theme) return;
+
+            const previous = this._theme;
+            this._theme = theme;
+            this.container.dataset.theme = theme;
+
+            // 已載入過的配色以 media 停用，切回時不必重新下載
+            Object.keys(this._themeLinks).forEach(name => {
+                this._themeLinks[name].links.forEach(link => {
+                    link.media = name === theme ? 'all' : 'not all';
+                });
+            });
+            if (!this._themeLinks[theme]) {
+                this._themeLinks[theme] = { links: [], sheets: [] };
+                (themes[theme] || []).forEach(style => {
+                    if (typeof style !== 'string') {
+                        this._themeLinks[theme].sheets.push(style);
+                        return;
+                    }
+                    const link = document.createElement('link');
+                    link.rel = 'stylesheet';
+                    link.href = style;
+                    this.shadowRoot.insertBefore(link, this._hostStyle);
+                    this._themeLinks[theme].links.push(link);
+                });
+            }
+
+            const inactive = Object.keys(this._themeLinks)
+                .filter(name => name !== theme)
+                .flatMap(name => this._themeLinks[name].sheets);
+            const adopted = this.shadowRoot.adoptedStyleSheets || [];
+            if (inactive.length > 0 || this._themeLinks[theme].sheets.length > 0) {
+                this.shadowRoot.adoptedStyleSheets = [
+                    ...adopted.filter(sheet => !inactive.includes(sheet) && !this._themeLinks[theme].sheets.includes(sheet)),
+                    ...this._themeLinks[theme].sheets
+                ];
+            }
+
+            // 已渲染的圖表帶著舊主題的顏色，整份重新渲染
+            if (previous && this.container.querySelector('[data-fence][data-rendered]')) {
+                this._performRender(true);
+            }
+        }
+
+        _injectShadowStyles() {
+            // 字串視為樣式表 URL，CSSStyleSheet 則以 adoptedStyleSheets 掛載（適用於嚴格 CSP）
+            const sheets = [];
+            styles.forEach(style => {
+                if (typeof style !== 'string') {
+                    sheets.push(style);
+                    return;
+                }
+                const link = document.createElement('link');
+                link.rel = 'stylesheet';
+                link.href = style;
+                this.shadowRoot.insertBefore(link, this.shadowRoot.firstChild);
+            });
+            if (sheets.length > 0) {
+                this.shadowRoot.adoptedStyleSheets = [...this.shadowRoot.adoptedStyleSheets, ...sheets];
+            }
+        }
+
+        // 渲染管線本身不碰 DOM（見 akari-markdown-renderer.js），延遲載入與事件回報由元素提供
+        _initLibraries() {
+            this._renderer = new AkariRenderer({
+                Marked,
+                DOMPurify,
+                libs,
+                fences,
+                options: this.options,
+                host: {
+                    languageState: lang => this._languageState(lang),
+                    requireRenderer: (name, load) => this._requireRenderer(name, load),
+                    onBlocked: blocked => this._reportBlocked(blocked),
+                    onMathError: (value, err) => this._reportMathError(value, err)
+                }
+            });
+            this._initMermaidConfig();
+        }
+
+        _onContainerClick(e) {
+            const task = e.target.closest && e.target.closest('input[data-task]');
+            if (task) {
+                this._onTaskToggle(task);
+                return;
+            }
+
+            // 頁內連結（標題錨點、目錄）在 Shadow DOM 內自行捲動
+            const link = e.target.closest && e.target.closest('a[href^="#"]');
+            if (link) {
+                const id = decodeFragment(link.getAttribute('href').slice(1));
+                if (this.scrollToHeading(id)) {
+                    e.preventDefault();
+                    this._revealedHash = id;
+                    history.replaceState(null, '', `#${encodeURIComponent(id)}`);
+                }
+                return;
+            }
+
+            const control = e.target.closest && e.target.closest('.akari-diagram-toolbar [data-action]');
+            if (control) {
+                this._onDiagramAction(control.closest('[data-fence]'), control.dataset.action, control);
+                return;
+            }
+
+            const button = e.target.closest && e.target.closest('[data-action="copy"]');
+            if (!button) return;
+
+            const code = button.closest('.akari-code').querySelector('code');
+            if (!code || !navigator.clipboard) return;
+
+            navigator.clipboard.writeText(code.textContent).then(() => {
+                button.textContent = 'Copied!';
+                setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+            }, err => {
+                console.warn('[AkariMarkdown] Copy failed:', err);
+            });
+        }
+
+        // 回傳 'ready' | 'loading' | 'none'，必要時觸發 highlight.js 或語言定義的載入
+        _languageState(lang) {
+            if (!lang) return 'none';
+            if (!libs.hljs) {
+                return this._requireRenderer('hljs') ? 'loading' : 'none';
+            }
+            if (libs.hljs.getLanguage(lang)) return 'ready';
+            if (!loadLanguage) return 'none';
+
+            // 串流中資訊字串可能還沒打完（如 ```ja），等到換行後才載入語言
+            const lastLine = this._latestMarkdown.slice(this._latestMarkdown.lastIndexOf('\n') + 1);
+            if (/^ {0,3}(`{3,}|~{3,})/.test(lastLine)) return 'none';
+
+            // 不存在的語言 loadLanguage 回傳 null：視為沒有高亮，不當成載入失敗
+            const loading = this._requireRenderer(`language:${lang}`, async () => {
+                const definition = unwrap(await loadLanguage(lang));
+                if (definition) libs.hljs.registerLanguage(lang, definition);
+            });
+            return loading ? 'loading' : 'none';
+        }
+
+        // 觸發渲染器載入；回傳 true 表示仍在載入中，false 表示已可用或確定無法使用
+        _requireRenderer(name, load) {
+            if (loaded.has(name) || failed.has(name)) return false;
+            if (this._awaitingRenderers.has(name)) return true;
+            if (!load && typeof loaders[name] !== 'function') return false;
+
+            this._awaitingRenderers.add(name);
+            load = load || (async () => {
+                libs[name] = unwrap(await loaders[name]());
+            });
+            loadRenderer(name, load).then(() => {
+                this._awaitingRenderers.delete(name);
+                this._onRendererLoaded(name);
+            });
+            return true;
+        }
+
+        _onRendererLoaded(name) {
+            if (!failed.has(name)) {
+                if (name === 'mermaid') this._initMermaidConfig();
+                this._emit('akari:renderer-loaded', { name });
+            }
+
+            // 佔位內容可能已被凍結，整份重新渲染一次
+            // hydrate() 沒有提供原始碼時無法重新解析，只補上公式與圖表
+            if (this._hydratedOnly) {
+                this._refreshHydrated();
+                return;
+            }
+
+            this._resetFrozen();
+            this._virtual.generation++;
+            this._performRender();
+        }
+
+        _initMermaidConfig() {
+            if (!libs.mermaid) return;
+            const mermaid = libs.mermaid;
+
+            const legacyTheme = COLOR_SCHEMES.includes(this.options.theme) ? null : this.options.theme;
+
+            mermaid.initialize({ 
+                startOnLoad: false, 
+                theme: this.options.mermaidTheme || legacyTheme || MERMAID_THEMES[this._resolveTheme()],
+                securityLevel: this._renderer.sanitizePolicy().mermaidSecurityLevel,
+                suppressErrorRendering: true, // 我們自己處理錯誤渲染
+            });
+
+            mermaid.parseError = function(err, hash) {
+                // 靜默全局錯誤，交由 _scheduleFenceRender 的 try-catch 處理
+            };
+        }
+
+        /**
+         * 目前內容中所有 fenced code 區塊及其閉合狀態，可用於判斷串流是否停在程式碼區塊內。
+         *
+         * @returns {Array<{ start: number, end: number, lang: string, info: string, closed: boolean }>}
+         */
+        getCodeBlocks() {
+            return scanFences(this._latestMarkdown);
+        }
+
+        /**
+         * 匯出為獨立的 HTML 文件：包含 Shadow DOM 內的樣式、KaTeX 與已渲染的圖表 SVG。
+         *
+         * @param {object} [options]
+         * @param {boolean} [options.inlineStyles=true]  下載樣式表內嵌為 <style>；false 則保留 <link>
+         * @param {string} [options.title]  文件標題，預設為第一個標題的文字
+         * @returns {Promise<string>}
+         */
+        async exportHTML({ inlineStyles = true, title } = {}) {
+            const content = this._exportClone();
+            const firstHeading = content.querySelector('h1, h2, h3, h4, h5, h6');
+            const docTitle = title || (firstHeading ? this._headingText(firstHeading) : 'Document');
+
+            const styles = [];
+            for (const node of Array.from(this.shadowRoot.children)) {
+                if (node === this._hostStyle) {
+                    styles.push(`<style>${node.textContent.replace(/:host\b/g, 'body')}</style>`);
+                } else if (node.tagName === 'LINK' && node.media !== 'not all') {
+                    styles.push(inlineStyles ? await this._inlineStylesheet(node.href) : `<link rel="stylesheet" href="${escapeHtml(node.href)}">`);
+                }
+            }
+            (this.shadowRoot.adoptedStyleSheets || []).forEach(sheet => {
+                styles.push(`<style>${Array.from(sheet.cssRules, rule => rule.cssText).join('\n')}</style>`);
+            });
+
+            return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(docTitle)}</title>
+${styles.join('\n')}
+<style>body > .markdown-body { box-sizing: border-box; max-width: 980px; margin: 0 auto; padding: 32px; }</style>
+</head>
+<body>
+${content.outerHTML}
+</body>
+</html>
+`;
+        }
+
+        /**
+         * 已渲染圖表的 SVG；toBlob('image/png') 會以 canvas 轉成 PNG。
+         *
+         * @returns {Array<{ lang: string, source: string, svg: string, toBlob: Function }>}
+         */
+        getDiagrams() {
+            return Array.from(this.container.querySelectorAll('[data-fence][data-rendered="true"]'))
+                .filter(node => node.querySelector('svg'))
+                .map(node => this._diagramEntry(node));
+        }
+
+        _diagramEntry(node) {
+            const svg = node.querySelector('svg');
+            const markup = new XMLSerializer().serializeToString(svg);
+            return {
+                lang: node.dataset.fence,
+                source: this._fenceSources.get(node) || '',
+                svg: markup,
+                toBlob: (type = 'image/svg+xml', { scale = 2 } = {}) => type === 'image/svg+xml'
+                    ? Promise.resolve(new Blob([markup], { type }))
+                    : this._rasterize(svg, type, scale)
+            };
+        }
+
+        // 把圖表內容移進可縮放的檢視區，並加上工具列與（預設隱藏的）原始碼
+        _attachDiagramToolbar(node) {
+            if (this._diagramPart(node, 'toolbar') || !node.querySelector('svg')) return;
+
+            const canvas = document.createElement('div');
+            canvas.className = 'akari-diagram-canvas';
+            canvas.append(...node.childNodes);
+            const viewport = document.createElement('div');
+            viewport.className = 'akari-diagram-viewport';
+            viewport.setAttribute('part', 'diagram-viewport');
+            viewport.appendChild(canvas);
+
+            const toolbar = document.createElement('div');
+            toolbar.className = 'akari-diagram-toolbar';
+            toolbar.setAttribute('part', 'diagram-toolbar');
+            toolbar.innerHTML = `<span class="akari-diagram-zoom">100%</span>` + DIAGRAM_ACTIONS.map(([action, label, title]) =>
+                `<button type="button" data-action="${action}" title="${title}" aria-label="${title}"${action === 'fullscreen' || action === 'source' ? ' aria-pressed="false"' : ''}>${label}</button>`
+            ).join('');
+
+            const source = document.createElement('div');
+            source.className = 'akari-fence-source akari-diagram-source';
+            source.setAttribute('part', 'fence-source');
+            source.textContent = this._fenceSources.get(node) || '';
+            source.hidden = true;
+
+            node.replaceChildren(toolbar, viewport, source);
+            node.classList.add('akari-diagram');
+            this._diagramViews.delete(node);
+        }
+
+        _detachDiagramToolbar(node) {
+            const viewport = this._diagramPart(node, 'viewport');
+            if (!viewport) return;
+            if (this._fullscreenDiagram === node) this._toggleDiagramFullscreen(node, false);
+            node.replaceChildren(...viewport.firstElementChild.childNodes);
+            node.classList.remove('akari-diagram');
+            this._diagramViews.delete(node);
+        }
+
+        // 圖表節點的直接子元素：toolbar / viewport / source
+        _diagramPart(node, name) {
+            return Array.from(node.children).find(child => child.classList.contains(`akari-diagram-${name}`));
+        }
+
+        _onDiagramAction(node, action, button) {
+            const viewport = this._diagramPart(node, 'viewport');
+            switch (action) {
+                case 'zoom-in':
+                case 'zoom-out':
+                    this._zoomDiagram(node, action === 'zoom-in' ? DIAGRAM_ZOOM.step : 1 / DIAGRAM_ZOOM.step);
+                    break;
+                case 'fit':
+                    this._setDiagramView(node, { scale: 1, x: 0, y: 0 });
+                    break;
+                case 'fullscreen':
+                    this._toggleDiagramFullscreen(node, node !== this._fullscreenDiagram);
+                    break;
+                case 'source': {
+                    const showing = !viewport.hidden;
+                    viewport.hidden = showing;
+                    this._diagramPart(node, 'source').hidden = !showing;
+                    button.setAttribute('aria-pressed', String(showing));
+                    break;
+                }
+                case 'download-svg':
+                case 'download-png': {
+                    const type = action === 'download-svg' ? 'image/svg+xml' : 'image/png';
+                    this._diagramEntry(node).toBlob(type).then(blob => {
+                        const url = URL.createObjectURL(blob);
+                        const link = document.createElement('a');
+                        link.href = url;
+                        link.download = `${node.dataset.fence}.${type === 'image/png' ? 'png' : 'svg'}`;
+                        link.click();
+                        setTimeout(() => URL.revokeObjectURL(url), 0);
+                    }, err => {
+                        console.warn('[AkariMarkdown] Diagram download failed:', err);
+                    });
+                    break;
+                }
+            }
+        }
+
+        // 全螢幕以固定定位的覆蓋層呈現，進出時都回到符合寬度
+        _toggleDiagramFullscreen(node, open) {
+            if (open && this._fullscreenDiagram) this._toggleDiagramFullscreen(this._fullscreenDiagram, false);
+
+            node.classList.toggle('akari-diagram-fullscreen', open);
+            const toolbar = this._diagramPart(node, 'toolbar');
+            if (toolbar) toolbar.querySelector('[data-action="fullscreen"]').setAttribute('aria-pressed', String(open));
+            this._setDiagramView(node, { scale: 1, x: 0, y: 0 });
+
+            this._fullscreenDiagram = open ? node : null;
+            if (open) document.addEventListener('keydown', this._onDiagramKeydown);
+            else document.removeEventListener('keydown', this._onDiagramKeydown);
+        }
+
+        _diagramView(node) {
+            return this._diagramViews.get(node) || { scale: 1, x: 0, y: 0 };
+        }
+
+        _setDiagramView(node, view) {
+            const viewport = this._diagramPart(node, 'viewport');
+            if (!viewport) return;
+
+            this._diagramViews.set(node, view);
+            const identity = view.scale === 1 && view.x === 0 && view.y === 0;
+            viewport.firstElementChild.style.transform = identity ? '' : `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+            viewport.toggleAttribute('data-zoomed', !identity);
+            this._diagramPart(node, 'toolbar').querySelector('.akari-diagram-zoom').textContent = `${Math.round(view.scale * 100)}%`;
+        }
+
+        // 以 (x, y)（檢視區座標，預設為中心）為固定點縮放
+        _zoomDiagram(node, factor, x, y) {
+            const viewport = this._diagramPart(node, 'viewport');
+            if (!viewport) return;
+            if (x === undefined) {
+                x = viewport.clientWidth / 2;
+                y = viewport.clientHeight / 2;
+            }
+
+            const view = this._diagramView(node);
+            const scale = Math.min(DIAGRAM_ZOOM.max, Math.max(DIAGRAM_ZOOM.min, view.scale * factor));
+            const ratio = scale / view.scale;
+            this._setDiagramView(node, { scale, x: x - (x - view.x) * ratio, y: y - (y - view.y) * ratio });
+        }
+
+        // 放大後或全螢幕時可拖曳平移；未縮放時保留一般的文字選取
+        _onDiagramPointerDown(e) {
+            const viewport = e.button === 0 && e.target.closest && e.target.closest('.akari-diagram-viewport');
+            if (!viewport) return;
+            const node = viewport.closest('[data-fence]');
+            const start = this._diagramView(node);
+            if (!viewport.hasAttribute('data-zoomed') && node !== this._fullscreenDiagram) return;
+
+            e.preventDefault();
+            const originX = e.clientX;
+            const originY = e.clientY;
+            const move = (ev) => this._setDiagramView(node, { ...start, x: start.x + ev.clientX - originX, y: start.y + ev.clientY - originY });
+            const end = () => {
+                viewport.removeEventListener('pointermove', move);
+                viewport.removeEventListener('pointerup', end);
+                viewport.removeEventListener('pointercancel', end);
+                viewport.removeAttribute('data-panning');
+            };
+            if (viewport.setPointerCapture) viewport.setPointerCapture(e.pointerId);
+            viewport.setAttribute('data-panning', '');
+            viewport.addEventListener('pointermove', move);
+            viewport.addEventListener('pointerup', end);
+            viewport.addEventListener('pointercancel', end);
+        }
+
+        // Ctrl / ⌘ + 滾輪縮放；全螢幕時直接以滾輪縮放
+        _onDiagramWheel(e) {
+            const viewport = e.target.closest && e.target.closest('.akari-diagram-viewport');
+            if (!viewport) return;
+            const node = viewport.closest('[data-fence]');
+            if (!e.ctrlKey && !e.metaKey && node !== this._fullscreenDiagram) return;
+
+            e.preventDefault();
+            const rect = viewport.getBoundingClientRect();
+            const factor = e.deltaY < 0 ? DIAGRAM_ZOOM.step : 1 / DIAGRAM_ZOOM.step;
+            this._zoomDiagram(node, factor, e.clientX - rect.left, e.clientY - rect.top);
+        }
+
+        // 可閱讀的純文字：數學式還原為 TeX、圖表還原為原始碼、清單保留項目符號
+        toPlainText() {
+            const lines = this._plainText(this._exportClone(), { depth: 0, pre: false });
+            return lines.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+        }
+
+        // 同時寫入 text/html 與 text/plain，貼到文件編輯器時保留格式
+        async copyToClipboard() {
+            // 非安全環境（http）與舊版瀏覽器沒有 navigator.clipboard
+            const clipboard = navigator.clipboard;
+            const rich = Boolean(clipboard && clipboard.write) && typeof ClipboardItem === 'function';
+            if (!rich && !(clipboard && clipboard.writeText)) {
+                throw new Error('[AkariMarkdown] Clipboard API is not available (requires a secure context)');
+            }
+
+            const html = this._exportClone().innerHTML;
+            const text = this.toPlainText();
+
+            if (rich) {
+                try {
+                    await clipboard.write([new ClipboardItem({
+                        'text/html': new Blob([html], { type: 'text/html' }),
+                        'text/plain': new Blob([text], { type: 'text/plain' })
+                    })]);
+                    return;
+                } catch (err) {
+                    // 不支援 text/html 的瀏覽器改為只寫入純文字
+                    if (!clipboard.writeText) throw err;
+                }
+            }
+            await clipboard.writeText(text);
+        }
+
+        // 匯出用的副本：移除互動用的 UI，圖表以已渲染的 SVG 呈現
+        _exportClone() {
+            const clone = this.container.cloneNode(true);
+
+            // cloneNode 不會帶上 WeakMap 中的原始碼，依序對回原節點
+            const originals = this.container.querySelectorAll('[data-fence]');
+            clone.querySelectorAll('[data-fence]').forEach((node, i) => {
+                const source = this._fenceSources.get(originals[i]);
+                if (source !== undefined) node.dataset.source = source;
+            });
+
+            // 虛擬化：未掛載的 chunk 補上內容（圖表維持原始碼），再拆掉 chunk 外層
+            const { chunks } = this._virtual;
+            clone.querySelectorAll('.akari-chunk').forEach(node => {
+                const chunk = chunks[node.dataset.chunk];
+                if (chunk && !chunk.mounted) {
+                    if (chunk.html === null) chunk.html = this._renderChunk(chunk);
+                    node.innerHTML = chunk.html;
+                }
+                node.replaceWith(...node.childNodes);
+            });
+
+            const hidden = chunks.length > 0 ? '' : ', .akari-footnote-def';
+            clone.querySelectorAll(`.akari-code-toolbar, .akari-diagram-toolbar, .akari-diagram-source, .akari-cursor${hidden}`).forEach(node => node.remove());
+            clone.querySelectorAll('.akari-diagram-viewport').forEach(viewport => viewport.replaceWith(...viewport.firstElementChild.childNodes));
+            clone.querySelectorAll('.akari-diagram').forEach(node => node.classList.remove('akari-diagram', 'akari-diagram-fullscreen'));
+            clone.querySelectorAll('.akari-fade').forEach(span => span.replaceWith(...span.childNodes));
+            clone.querySelectorAll('input[data-task]').forEach(input => {
+                input.disabled = true;
+                if (input.checked) input.setAttribute('checked', '');
+                else input.removeAttribute('checked');
+            });
+            return clone;
+        }
+
+        _plainText(node, context) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return context.pre ? node.nodeValue : node.nodeValue.replace(/\s+/g, ' ');
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const children = (ctx = context) => Array.from(node.childNodes, child => this._plainText(child, ctx)).join('');
+            const tag = node.tagName;
+
+            if (node.dataset.tex !== undefined) {
+                return /\bmath-(display|streaming)\b/.test(node.getAttribute('part'))
+                    ? `\n\n$$\n${node.dataset.tex.trim()}\n$$\n\n`
+                    : `$${node.dataset.tex}$`;
+            }
+            if (node.dataset.fence !== undefined) {
+                const source = node.dataset.source !== undefined ? node.dataset.source : node.textContent;
+                return `\n\n\`\`\`${node.dataset.fence}\n${source.trim()}\n\`\`\`\n\n`;
+            }
+            if (node.classList.contains('akari-heading-anchor') || node.classList.contains('akari-footnote-backref')) return '';
+            if (node.classList.contains('akari-footnote-ref')) return `[${node.textContent}]`;
+
+            switch (tag) {
+                case 'BR':
+                    return '\n';
+                case 'HR':
+                    return '\n\n---\n\n';
+                case 'INPUT':
+                    return node.type === 'checkbox' ? (node.checked ? '[x]' : '[ ]') : '';
+                case 'PRE':
+                    return `\n\n${children({ ...context, pre: true }).replace(/\n$/, '')}\n\n`;
+                case 'UL':
+                case 'OL': {
+                    const items = Array.from(node.children).filter(child => child.tagName === 'LI');
+                    const start = Number(node.getAttribute('start')) || 1;
+                    const indent = '  '.repeat(context.depth);
+                    const body = items.map((item, i) => {
+                        const marker = tag === 'OL' ? `${start + i}. ` : '- ';
+                        const text = this._plainText(item, { ...context, depth: context.depth + 1 }).trim().replace(/\n{2,}/g, '\n');
+                        return indent + marker + text;
+                    }).join('\n');
+                    return context.depth > 0 ? `\n${body}` : `\n\n${body}\n\n`;
+                }
+                case 'LI':
+                    return children();
+                // 表格與區段之間的空白文字節點不輸出
+                case 'TABLE':
+                    return `\n\n${Array.from(node.children, child => this._plainText(child, context)).join('')}\n\n`;
+                case 'THEAD':
+                case 'TBODY':
+                case 'TFOOT':
+                    return Array.from(node.children, child => this._plainText(child, context)).join('');
+                case 'TR':
+                    return `${Array.from(node.children, cell => this._plainText(cell, context).trim()).join('\t')}\n`;
+                case 'TD':
+                case 'TH':
+                case 'DT':
+                    return `${children()}\n`;
+                case 'DD':
+                    return `  ${children()}\n`;
+                default:
+                    break;
+            }
+
+            const text = children();
+            return /^(P|H[1-6]|BLOCKQUOTE|DL|DIV|SECTION|NAV|DETAILS|SUMMARY)$/.test(tag) ? `\n\n${text}\n\n` : text;
+        }
+
+        // 外部樣式表內嵌時，相對路徑的 url()（例如 KaTeX 字型）改寫為絕對網址
+        async _inlineStylesheet(href) {
+            try {
+                const response = await fetch(href);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const css = await response.text();
+                const rewritten = css.replace(/url\((['"]?)(?!data:|[a-z]+:|#)([^'")]+)\1\)/gi, (match, quote, path) => `url(${quote}${new URL(path, href).href}${quote})`);
+                return `<style>${rewritten}</style>`;
+            } catch (err) {
+                console.warn('[AkariMarkdown] Failed to inline stylesheet:', href, err);
+                return `<link rel="stylesheet" href="${escapeHtml(href)}">`;
+            }
+        }
+
+        // SVG → PNG：以 data URL 載入圖片再畫到 canvas
+        async _rasterize(svg, type, scale) {
+            const box = svg.getBoundingClientRect();
+            const viewBox = svg.viewBox && svg.viewBox.baseVal;
+            // 工具列縮放以 transform 實作，換算回未縮放的尺寸
+            const zoom = this._diagramView(svg.closest('[data-fence]')).scale;
+            const width = box.width / zoom || (viewBox && viewBox.width) || 800;
+            const height = box.height / zoom || (viewBox && viewBox.height) || 600;
+
+            const copy = svg.cloneNode(true);
+            copy.setAttribute('width', width);
+            copy.setAttribute('height', height);
+            copy.style.maxWidth = 'none';
+            const markup = new XMLSerializer().serializeToString(copy);
+
+            const image = new Image();
+            image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(width * scale);
+            canvas.height = Math.ceil(height * scale);
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to export diagram')), type);
+            });
+        }
+
+        async render(markdownText, force = false) {
+            markdownText = markdownText || '';
+            if (!markdownText.startsWith(this._latestMarkdown)) {
+                this._reportedBlocks.clear();
+                this._reportedMathErrors.clear();
+            }
+            // 以 render() 逐次傳入完整文字的串流：新文字延續舊文字時視為仍在串流
+            this._streaming = this._streamMode || !force && this._latestMarkdown.length > 0
+                && markdownText.length > this._latestMarkdown.length && markdownText.startsWith(this._latestMarkdown);
+            this._latestMarkdown = markdownText; 
+            this._hydratedOnly = false;
+            this._incremental = false;
+            // 節流期間接著 appendChunk() 時，不可沿用舊內容的凍結點
+            this._resetFrozen();
+            return this._requestRender(force);
+        }
+
+        // 串流模式：只追加文字，已閉合的區塊會被凍結，每次只重新解析尾端未閉合的區塊
+        async appendChunk(chunk, force = false) {
+            this._latestMarkdown += (chunk || '').replace(/\r\n?/g, '\n');
+            this._hydratedOnly = false;
+            this._incremental = true;
+            this._streaming = this._streamMode || !force;
+            return this._requestRender(force);
+        }
+
+        async _requestRender(force) {
+            if (force) {
+                this._clearTimers();
+                await this._performRender(true);
+                return;
+            }
+
+            // Worker 渲染進行中：結束後再以最新內容渲染一次
+            if (this._isRendering) {
+                this._renderQueued = true;
+                return;
+            }
+
+            if (!this._renderTimer) {
+                this._renderTimer = setTimeout(async () => {
+                    this._isRendering = true;
+                    await this._performRender();
+                    this._isRendering = false;
+                    this._renderTimer = null;
+
+                    if (this._renderQueued) {
+                        this._renderQueued = false;
+                        this._requestRender(false);
+                    }
+                }, this.options.throttleInterval);
+            }
+        }
+
+        async _performRender(forceFullRender = false) {
+            if (this._virtualOptions()) {
+                return this._performVirtualRender(forceFullRender);
+            }
+            if (this._useWorker()) {
+                return this._performWorkerRender(forceFullRender);
+            }
+
+            const startTime = performance.now();
+            // 凍結區必須仍是目前內容的開頭，否則（內容已被取代）改為完整渲染
+            const incremental = !forceFullRender && this._incremental && this._latestMarkdown.startsWith(this._frozen.markdown);
+            this._emit('akari:render-start', { incremental, length: this._latestMarkdown.length });
+
+            try {
+                if (!incremental) {
+                    // 完整渲染：同時作為串流結束時的校正
+                    this._resetFrozen();
+                    this._renderer.slugs = new Map();
+                    const html = this._renderer.render(this._completeTail(this._latestMarkdown), { streaming: this._streaming });
+
+                    if (forceFullRender) {
+                        this.container.innerHTML = html;
+                    } else {
+                        this._updateDOM(this.container, html);
+                    }
+                } else {
+                    this._renderIncremental();
+                }
+
+                this._afterRender({ incremental, startTime });
+
+            } catch (err) {
+                console.error('[AkariMarkdown] Render Error:', err);
+                this._emit('akari:render-error', { error: err, source: this._latestMarkdown });
+            }
+        }
+
+        // markedExtensions 與 fence 的 isComplete / renderStreaming 是函式，無法傳給 Worker，此時仍在主執行緒渲染
+        _useWorker() {
+            return Boolean(this.options.worker)
+                && !(this.options.markedExtensions || []).length
+                && !Array.from(fences.values()).some(fence => fence.isComplete || fence.renderStreaming)
+                && Boolean(getWorker());
+        }
+
+        // 解析、高亮與 KaTeX 在 Worker 中完成；消毒與 DOM 更新留在主執行緒。
+        // Worker 模式一律整份渲染，由 _updateDOM 保留未變更的節點
+        async _performWorkerRender(forceFullRender) {
+            const startTime = performance.now();
+            this._emit('akari:render-start', { incremental: false, length: this._latestMarkdown.length });
+
+            let result;
+            try {
+                result = await this._renderInWorker(this._completeTail(this._latestMarkdown));
+            } catch (err) {
+                // 設定無法複製給 Worker（例如 markedOptions 含函式）：此元素改回主執行緒
+                console.warn('[AkariMarkdown] Worker render failed, falling back to the main thread:', err);
+                this._releaseWorker();
+                this.options.worker = false;
+                return this._performRender(forceFullRender);
+            }
+            // 已被較新的工作取代
+            if (!result) return;
+
+            try {
+                if (result.error) throw new Error(result.error);
+                result.mathErrors.forEach(({ message, ...value }) => this._reportMathError(value, new Error(message)));
+
+                this._resetFrozen();
+                const html = this._renderer.finish(result);
+                if (forceFullRender) {
+                    this.container.innerHTML = html;
+                } else {
+                    this._updateDOM(this.container, html);
+                }
+
+                this._requireFenceRenderers();
+                this._afterRender({ startTime });
+            } catch (err) {
+                console.error('[AkariMarkdown] Render Error:', err);
+                this._emit('akari:render-error', { error: err, source: this._latestMarkdown });
+            }
+        }
+
+        // 送出新工作時，尚未回來的舊工作直接作廢（resolve null）
+        _renderInWorker(markdown) {
+            const target = getWorker();
+            if (this._workerChannel === null) {
+                this._workerChannel = ++nextChannel;
+                workerClients.set(this._workerChannel, this);
+            }
+            if (this._workerPending) this._workerPending.resolve(null);
+
+            const { beforeParse } = this.options.hooks;
+            const { headings, math, codeBlock, markedOptions } = this.options;
+            const id = ++this._workerJob;
+
+            return new Promise((resolve, reject) => {
+                this._workerPending = { id, resolve };
+                target.postMessage({
+                    type: 'render',
+                    channel: this._workerChannel,
+                    id,
+                    markdown: beforeParse ? beforeParse(markdown) : markdown,
+                    streaming: this._streaming,
+                    fences: Array.from(fences.keys()),
+                    options: { headings, math, codeBlock, markedOptions }
+                });
+            }).finally(() => {
+                if (this._workerPending && this._workerPending.id === id) this._workerPending = null;
+            });
+        }
+
+        _onWorkerMessage(data) {
+            const pending = this._workerPending;
+            if (!pending || pending.id !== data.id) return;
+
+            pending.resolve(data.type === 'error' ? { error: data.message } : data);
+        }
+
+        _onWorkerFailed() {
+            this._workerChannel = null;
+            if (this._workerPending) this._workerPending.resolve(null);
+            this._workerPending = null;
+            this._performRender();
+        }
+
+        _releaseWorker() {
+            if (this._workerChannel === null) return;
+            if (worker) worker.postMessage({ type: 'dispose', channel: this._workerChannel });
+            workerClients.delete(this._workerChannel);
+            this._workerChannel = null;
+            if (this._workerPending) this._workerPending.resolve(null);
+            this._workerPending = null;
+        }
+
+        // 沒有在 parse 階段載入的 fence 渲染器（hydrate、Worker 模式）在此補載，載入完成後會整份重新渲染
+        _requireFenceRenderers() {
+            this.container.querySelectorAll('[data-fence]').forEach(node => {
+                const fence = fences.get(node.dataset.fence);
+                if (fence && fence.load && this._requireRenderer(node.dataset.fence, fence.load)) {
+                    node.classList.add('akari-loading');
+                }
+            });
+        }
+
+        // 渲染器載入後就地更新 hydrate 的內容：TeX 原文換成 KaTeX，等待中的 fence 進入佇列
+        _refreshHydrated() {
+            this._renderHydratedMath();
+            this.container.querySelectorAll('[data-fence].akari-loading').forEach(node => {
+                if (loaded.has(node.dataset.fence) || failed.has(node.dataset.fence)) node.classList.remove('akari-loading');
+            });
+            this._scheduleFenceRender(0);
+        }
+
+        // 伺服器端未渲染的公式（原始 TeX）就地換成 KaTeX 輸出
+        _renderHydratedMath() {
+            this.container.querySelectorAll('[data-tex]:not([class]), [data-tex].akari-loading').forEach(node => {
+                const display = (node.getAttribute('part') || '').includes('math-display');
+                const html = this._renderer.renderMath({ tex: node.dataset.tex, display });
+                if (html !== null) node.outerHTML = html;
+            });
+        }
+
+        // 伺服器端沒有載入的渲染器（fence、KaTeX）在此補載；KaTeX 已載入時直接渲染
+        _requireHydratedRenderers() {
+            this._requireFenceRenderers();
+            if (!this.container.querySelector('[data-tex]:not([class])')) return;
+            if (libs.katex) {
+                this._renderHydratedMath();
+            } else {
+                this._requireRenderer('katex');
+            }
+        }
+
+        // 樂觀補全只作用於渲染用的文字，串流結束時的最終渲染使用原文
+        _completeTail(text) {
+            if (!this._streaming || !this.options.optimisticCompletion) return text;
+            return completeMarkdown(text, this._renderer.mathOptions().delimiters);
+        }
+
+        // 游標放在最後一段文字之後；公式、圖表等整塊內容則放在其後方
+        _placeCursor() {
+            this.container.querySelectorAll('.akari-cursor').forEach(node => node.remove());
+            const { streamingCursor } = this.options;
+            if (!this._streaming || !streamingCursor) return;
+            // 虛擬化時結尾的 chunk 不在畫面附近，游標不放到中途
+            const { chunks } = this._virtual;
+            if (chunks.length > 0 && !chunks[chunks.length - 1].mounted) return;
+
+            const walker = document.createTreeWalker(this.container, NodeFilter.SHOW_TEXT);
+            let last = null;
+            while (walker.nextNode()) {
+                const node = walker.currentNode;
+                if (!node.nodeValue.trim() || node.parentElement.closest('.akari-footnotes, .akari-footnote-def, .akari-code-toolbar')) continue;
+                last = node;
+            }
+
+            const cursor = document.createElement('span');
+            cursor.className = 'akari-cursor';
+            cursor.setAttribute('part', 'cursor');
+            cursor.setAttribute('aria-hidden', 'true');
+            cursor.dataset.cursor = typeof streamingCursor === 'string' ? streamingCursor : '▍';
+
+            // fence 與數學的串流佔位本身已有游標
+            if (last && last.parentElement.closest('.akari-fence-streaming')) return;
+            if (!last) {
+                this.container.insertBefore(cursor, this.container.querySelector(':scope > .akari-footnotes'));
+                return;
+            }
+            const atomic = last.parentElement.closest('.katex-display, .katex, svg, [data-fence], [data-tex]');
+            const anchor = atomic && this.container.contains(atomic) ? atomic : last;
+            anchor.parentNode.insertBefore(cursor, anchor.nextSibling);
+        }
+
+        // DOM 更新後的共同步驟：fence、註腳、目錄、捲動，完整渲染與 hydrate 共用
+        _afterRender({ incremental = false, hydrated = false, startTime = performance.now() } = {}) {
+            this._scheduleFenceRender();
+            this._renderFootnotes();
+            this._renderToc();
+            this._placeCursor();
+            this._followTail();
+            this._revealHash();
+
+            if (this.options.hooks.onRendered) {
+                this.options.hooks.onRendered(this.container);
+            }
+
+            this._emit('akari:rendered', {
+                incremental,
+                hydrated,
+                duration: performance.now() - startTime,
+                length: this._latestMarkdown.length,
+                blocks: this.container.childElementCount,
+                frozenBlocks: this._frozen.nodes
+            });
+        }
+
+        /**
+         * 接手 renderToString() 產生的 HTML：不重新解析，只補上 fence、註腳、目錄等 DOM 步驟。
+         * 之後的 render() / append() 會照常以 markdown 為基礎繼續。
+         *
+         * @param {string} html      renderToString() 的輸出
+         * @param {string} [markdown] 產生該 HTML 的原始碼
+         */
+        hydrate(html, markdown = '') {
+            this._clearTimers();
+            this._resetFrozen();
+            this._resetVirtual();
+            this._streaming = this._streamMode;
+            this._latestMarkdown = markdown;
+            this._hydratedOnly = !markdown;
+            this.container.innerHTML = html;
+
+            try {
+                this._requireHydratedRenderers();
+                this._afterRender({ hydrated: true });
+            } catch (err) {
+                console.error('[AkariMarkdown] Render Error:', err);
+                this._emit('akari:render-error', { error: err, source: markdown });
+            }
+        }
+
+        _reportBlocked(blocked) {
+            const fresh = blocked.filter(item => {
+                const signature = [item.type, item.tag, item.name, item.value].join('|');
+                if (this._reportedBlocks.has(signature)) return false;
+                this._reportedBlocks.add(signature);
+                return true;
+            });
+            if (fresh.length === 0) return;
+
+            this._emit('sanitize:blocked', { removed: fresh });
+        }
+
+        // 所有事件都會冒泡並穿越 Shadow DOM，方便框架以宣告式綁定
+        _emit(name, detail) {
+            this.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true }));
+        }
+
+        // virtualize: true 使用預設的 rootMargin，物件可覆寫；未啟用時回傳 null
+        _virtualOptions() {
+            const { virtualize } = this.options;
+            if (!virtualize) return null;
+            return { rootMargin: VIRTUAL_ROOT_MARGIN, ...(typeof virtualize === 'object' ? virtualize : {}) };
+        }
+
+        _resetVirtual() {
+            const state = this._virtual;
+            if (state.observer) state.observer.disconnect();
+            if (state.chunks.length > 0) this.container.replaceChildren();
+            this._virtual = { chunks: [], links: {}, observer: null, generation: state.generation };
+            this.container.classList.remove('akari-virtual');
+        }
+
+        // 虛擬化渲染：只重新切分最後一個（開放中的）chunk 之後的原始碼；未掛載的 chunk 不解析
+        _performVirtualRender(forceFullRender) {
+            const startTime = performance.now();
+            this._emit('akari:render-start', { incremental: false, length: this._latestMarkdown.length });
+
+            try {
+                this._resetFrozen();
+                // 強制渲染（主題、marked 設定變更）保留 chunk 與高度，只作廢已產生的 HTML
+                if (forceFullRender) this._virtual.generation++;
+                this._updateChunks(this._latestMarkdown, forceFullRender);
+                this._afterRender({ startTime });
+            } catch (err) {
+                console.error('[AkariMarkdown] Render Error:', err);
+                this._emit('akari:render-error', { error: err, source: this._latestMarkdown });
+            }
+        }
+
+        _updateChunks(text, replace) {
+            const state = this._virtual;
+            const { chunks } = state;
+            if (chunks.length === 0) {
+                this.container.replaceChildren();
+                this.container.classList.add('akari-virtual');
+            }
+
+            // 原始碼沒變的前段 chunk 原樣保留
+            let keep = 0;
+            while (keep < chunks.length - 1 && text.startsWith(chunks[keep].source, chunks[keep].start)) keep++;
+            const offset = keep > 0 ? chunks[keep - 1].start + chunks[keep - 1].source.length : 0;
+
+            // 渲染器載入或強制渲染後，保留的 chunk 也要重新產生 HTML；未掛載的等掛載時再解析
+            chunks.slice(0, keep).forEach(chunk => {
+                if (chunk.generation === state.generation) return;
+                chunk.html = null;
+                if (chunk.mounted) this._mountChunk(chunk, replace);
+            });
+            const rest = text.slice(offset);
+
+            const tokens = this._renderer.lexer(rest);
+            if (keep === 0) state.links = {};
+            Object.assign(state.links, tokens.links);
+
+            // 累積到 VIRTUAL_CHUNK_LENGTH 後在下一個安全邊界切開，剩下的（含開放中的尾端）成為最後一個 chunk
+            const pieces = [];
+            let from = 0;
+            let fromToken = 0;
+            this._closedBoundaries(rest, tokens).forEach(({ offset: end, index }) => {
+                if (end - from < VIRTUAL_CHUNK_LENGTH) return;
+                pieces.push({ from, end, tokens: tokens.slice(fromToken, index) });
+                from = end;
+                fromToken = index;
+            });
+            pieces.push({ from, end: rest.length, tokens: tokens.slice(fromToken) });
+
+            // 標題 slug 依文件順序接續，未掛載的 chunk 也先算好 id 供目錄與錨點使用
+            this._renderer.slugs = new Map(keep < chunks.length ? chunks[keep].slugs : []);
+            const previousLength = chunks.length;
+            const sync = typeof IntersectionObserver !== 'function';
+
+            pieces.forEach((piece, j) => {
+                const i = keep + j;
+                const slugs = new Map(this._renderer.slugs);
+                const { headings, anchors } = this._indexTokens(piece.tokens);
+                const source = rest.slice(piece.from, piece.end);
+                const old = chunks[i];
+
+                if (old && old.source === source && old.generation === state.generation) {
+                    Object.assign(old, { slugs, headings, anchors });
+                    return;
+                }
+
+                const chunk = { start: offset + piece.from, source, slugs, headings, anchors, html: null, generation: state.generation, mounted: false, height: 0 };
+                if (old) {
+                    chunk.node = old.node;
+                    chunk.height = old.height;
+                    chunk.mounted = old.mounted;
+                } else {
+                    chunk.node = document.createElement('div');
+                    chunk.node.className = 'akari-chunk';
+                    chunk.node.dataset.chunk = i;
+                    this.container.appendChild(chunk.node);
+                    this._observeChunk(chunk.node);
+                }
+                chunks[i] = chunk;
+
+                // 已掛載的就地更新；串流中緊接在已掛載 chunk 之後新增的也立即掛載，避免尾端閃爍
+                const follows = i > 0 && previousLength > 0 && i >= previousLength - 1 && chunks[i - 1].mounted;
+                if (chunk.mounted || follows || sync || (previousLength === 0 && i === 0)) {
+                    this._mountChunk(chunk, replace);
+                } else {
+                    chunk.node.style.height = chunk.height ? `${chunk.height}px` : `${estimateHeight(source)}em`;
+                }
+            });
+
+            chunks.splice(keep + pieces.length).forEach(chunk => {
+                if (state.observer) state.observer.unobserve(chunk.node);
+                chunk.node.remove();
+            });
+        }
+
+        // 依 token 樹收集標題（含清單、引用內的）與註腳定義，作為未掛載 chunk 的錨點索引
+        _indexTokens(tokens) {
+            const headings = [];
+            const anchors = new Set();
+            const walk = list => list.forEach(token => {
+                if (token.type === 'heading') {
+                    const html = this._renderer.marked.parseInline(token.text);
+                    const id = this._renderer.slugify(html);
+                    headings.push({ id, level: token.depth, text: decodeHtml(html.replace(/<[^>]*>/g, '')).trim() });
+                    anchors.add(id);
+                } else if (token.type === 'footnote') {
+                    anchors.add(`fn-${token.label}`);
+                }
+                if (token.items) walk(token.items);
+                if (token.tokens && token.type !== 'heading') walk(token.tokens);
+            });
+            walk(tokens);
+            return { headings, anchors };
+        }
+
+        // chunk 單獨解析：slug 接續前文，前後 chunk 的參照連結定義放在開頭
+        _renderChunk(chunk) {
+            const { chunks, links } = this._virtual;
+            const last = chunk === chunks[chunks.length - 1];
+            const { source, lines } = this._prependLinks(last ? this._completeTail(chunk.source) : chunk.source, links);
+
+            // 任務項目的 data-line 以整份文件計算，扣掉開頭補上的定義行
+            const line = this._latestMarkdown.slice(0, chunk.start).split('\n').length - lines;
+
+            this._renderer.slugs = new Map(chunk.slugs);
+            chunk.generation = this._virtual.generation;
+            return this._renderer.render(source, { streaming: last && this._streaming, line });
+        }
+
+        // 單獨解析的片段看不到其他位置的參照連結定義：放在開頭，回傳補上的行數
+        _prependLinks(source, links) {
+            const definitions = source.includes(']') ? Object.entries(links).map(([label, { href, title }]) =>
+                `[${label}]: <${href}>${title ? ` "${title.replace(/"/g, '\\"')}"` : ''}`
+            ) : [];
+            if (definitions.length === 0) return { source, lines: 0 };
+            return { source: `${definitions.join('\n')}\n\n${source}`, lines: definitions.length + 1 };
+        }
+
+        _mountChunk(chunk, replace = false) {
+            if (chunk.html === null) chunk.html = this._renderChunk(chunk);
+            if (chunk.mounted && !replace) {
+                this._updateDOM(chunk.node, chunk.html);
+            } else {
+                chunk.node.innerHTML = chunk.html;
+            }
+            chunk.mounted = true;
+            chunk.node.style.height = '';
+        }
+
+        // 卸載前記下實際高度，之後以同樣高度佔位，捲動位置不會跳動
+        _unmountChunk(chunk) {
+            if (!chunk.mounted) return;
+            if (this._fullscreenDiagram && chunk.node.contains(this._fullscreenDiagram)) return;
+
+            chunk.height = chunk.node.getBoundingClientRect().height;
+            chunk.node.style.height = `${chunk.height}px`;
+            chunk.node.replaceChildren();
+            chunk.mounted = false;
+        }
+
+        _observeChunk(node) {
+            if (typeof IntersectionObserver !== 'function') return;
+
+            if (!this._virtual.observer) {
+                // 元素位於捲動容器內時以該容器為 root，rootMargin 才會作用在容器的可視範圍
+                const scroller = this._findScroller();
+                this._virtual.observer = new IntersectionObserver(entries => this._onChunksIntersect(entries), {
+                    root: scroller === document.scrollingElement ? null : scroller,
+                    rootMargin: this._virtualOptions().rootMargin
+                });
+            }
+            this._virtual.observer.observe(node);
+        }
+
+        _onChunksIntersect(entries) {
+            let mounted = false;
+            entries.forEach(entry => {
+                const chunk = this._virtual.chunks[entry.target.dataset.chunk];
+                if (!chunk || chunk.node !== entry.target) return;
+
+                if (!entry.isIntersecting) {
+                    this._unmountChunk(chunk);
+                } else if (!chunk.mounted) {
+                    this._mountChunk(chunk);
+                    mounted = true;
+                }
+            });
+            if (!mounted) return;
+
+            // 新掛載的 chunk：圖表不等 debounce，直接從快取或佇列渲染
+            this._scheduleFenceRender(0);
+            this._renderFootnotes();
+            this._renderToc();
+            this._placeCursor();
+        }
+
+        // 錨點所在的 chunk 尚未掛載時先掛載再回傳目標元素
+        _mountAnchor(id) {
+            const chunk = this._virtual.chunks.find(item => item.anchors.has(id));
+            if (!chunk) return null;
+
+            if (!chunk.mounted) {
+                this._mountChunk(chunk);
+                this._scheduleFenceRender(0);
+                this._renderFootnotes();
+                this._renderToc();
+            }
+            return this.shadowRoot.getElementById(id);
+        }
+
+        _resetFrozen() {
+            this._frozen.markdown = '';
+            this._frozen.length = 0;
+            this._frozen.line = 1;
+            this._frozen.nodes = 0;
+            this._frozen.slugs = new Map();
+            this._frozen.links = {};
+            this._frozen.seen = {};
+        }
+
+        // 只處理凍結點之後的尾端；新閉合的區塊渲染後併入凍結區，之後不再觸碰
+        _renderIncremental() {
+            let tail = this._latestMarkdown.slice(this._frozen.length);
+            let tokens = this._renderer.lexer(tail);
+
+            // 凍結區引用的連結定義這時才出現（或仍在串流中變動）：凍結區整個重新渲染
+            if (this._frozen.length > 0 && this._staleLinks(tokens.links)) {
+                this._resetFrozen();
+                tail = this._latestMarkdown;
+                tokens = this._renderer.lexer(tail);
+            }
+
+            // 同名定義以前文為準；凍結區與尾端分開解析，已知的定義補在各自開頭
+            const links = { ...tokens.links, ...this._frozen.links };
+            this._frozen.seen = links;
+            const render = (text, line, streaming) => {
+                const { source, lines } = this._prependLinks(text, links);
+                return this._renderer.render(source, { streaming, line: line - lines });
+            };
+
+            const boundaries = this._closedBoundaries(tail, tokens);
+            const closed = boundaries.length > 0 ? boundaries[boundaries.length - 1].offset : 0;
+
+            // 尾端的標題 slug 接續凍結區已使用的 slug
+            this._renderer.slugs = new Map(this._frozen.slugs);
+
+            const line = this._frozen.line;
+            if (closed === 0) {
+                this._updateDOM(this.container, render(this._completeTail(tail), line, this._streaming), this._frozen.nodes);
+                return;
+            }
+
+            const closedText = tail.slice(0, closed);
+            const closedLines = closedText.split('\n').length - 1;
+            const frozenHtml = render(closedText, line, false);
+            const frozenSlugs = new Map(this._renderer.slugs);
+            const openHtml = render(this._completeTail(tail.slice(closed)), line + closedLines, this._streaming);
+            this._updateDOM(this.container, frozenHtml + openHtml, this._frozen.nodes);
+
+            const template = document.createElement('div');
+            template.innerHTML = frozenHtml;
+            this._frozen.length += closed;
+            this._frozen.markdown = this._latestMarkdown.slice(0, this._frozen.length);
+            this._frozen.line += closedLines;
+            this._frozen.nodes += template.childNodes.length;
+            this._frozen.slugs = frozenSlugs;
+            this._frozen.links = { ...this._renderer.lexer(closedText).links, ...this._frozen.links };
+        }
+
+        // 尾端有凍結區渲染時未知（或內容不同）的定義，且凍結區內有對應的 [label]
+        _staleLinks(links) {
+            const { seen } = this._frozen;
+            const changed = Object.keys(links).filter(label => !(label in this._frozen.links) && (!seen[label]
+                || seen[label].href !== links[label].href || seen[label].title !== links[label].title));
+            if (changed.length === 0) return false;
+
+            const frozen = this._frozen.markdown.toLowerCase().replace(/\s+/g, ' ');
+            return changed.some(label => frozen.includes(`[${label}]`));
+        }
+
+        // 所有可安全切割的位置：{ offset: 原始碼位置, index: 之前的 token 數 }
+        _closedBoundaries(tail, tokens) {
+            let last = tokens.length - 1;
+            while (last >= 0 && tokens[last].type === 'space') last--;
+
+            let cursor = 0;
+            const boundaries = [];
+            let htmlDepth = 0;
+            // display math 內可能有空行，未閉合時不可在其中切割
+            const { delimiters, environments } = this._renderer.mathOptions();
+            const display = delimiters.filter(d => d.display);
+            const mathDepth = new Map();
+            const count = (raw, str) => raw.split(str).length - 1;
+
+            // 開放中區塊的前一個區塊是清單時，開放中的內容可能是下一個項目（鬆散清單），清單也不能切割
+            let open = last;
+            let previous = last - 1;
+            while (previous >= 0 && tokens[previous].type === 'space') previous--;
+            if (previous >= 0 && tokens[previous].type === 'list') open = previous;
+
+            // 最後一個非空白區塊永遠視為開放中
+            for (let i = 0; i < open; i++) {
+                const token = tokens[i];
+                // 連結定義 (def) 不會產生 token，因此用 indexOf 對齊原始碼位置
+                const start = tail.indexOf(token.raw, cursor);
+                if (start === -1) break;
+                cursor = start + token.raw.length;
+
+                if (token.type === 'html') {
+                    htmlDepth = Math.max(0, htmlDepth + this._htmlDepth(token.raw));
+                } else if (token.type !== 'code') {
+                    display.forEach(({ left, right }) => {
+                        const depth = mathDepth.get(left) || 0;
+                        mathDepth.set(left, left === right
+                            ? (depth + count(token.raw, left)) % 2
+                            : Math.max(0, depth + count(token.raw, left) - count(token.raw, right)));
+                    });
+                    if (environments) {
+                        const depth = mathDepth.get('\\begin') || 0;
+                        mathDepth.set('\\begin', Math.max(0, depth + count(token.raw, '\\begin{') - count(token.raw, '\\end{')));
+                    }
+                }
+
+                const mathOpen = Array.from(mathDepth.values()).some(depth => depth > 0);
+                if (htmlDepth === 0 && !mathOpen && tail.slice(cursor - 2, cursor) === '\n\n') {
+                    boundaries.push({ offset: cursor, index: i + 1 });
+                }
+            }
+            return boundaries;
+        }
+
+        // 計算 HTML 片段中未閉合標籤的淨深度
+        _htmlDepth(raw) {
+            const voidTags = /^(area|base|br|col|embed|hr|img|input|link|meta|source|track|wbr)$/i;
+            let depth = 0;
+            raw.replace(/<(\/?)([a-zA-Z][\w-]*)[^>]*?(\/?)>/g, (match, close, tag, selfClose) => {
+                if (!voidTags.test(tag) && !selfClose) depth += close ? -1 : 1;
+                return match;
+            });
+            return depth;
+        }
+
+        _updateDOM(container, newHtmlString, startIndex = 0) {
+            const template = document.createElement('div');
+            template.innerHTML = newHtmlString;
+            // 游標會打亂逐位置比對，更新後由 _placeCursor() 重新放置
+            container.querySelectorAll('.akari-cursor').forEach(node => node.remove());
+            this._fading = this._streaming && Boolean(this.options.fadeIn)
+                && !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+            this._morphChildren(container, template, startIndex);
+        }
+
+        // 遞歸比對子節點：有 key 的節點（程式碼、數學、fence）跨位置配對，其餘依序原地更新
+        _morphChildren(oldParent, newParent, startIndex = 0) {
+            if (this._fading) this._mirrorFades(oldParent, newParent, startIndex);
+
+            const newNodes = Array.from(newParent.childNodes);
+            const newKeys = new Set();
+            newNodes.forEach(node => {
+                const key = this._nodeKey(node);
+                if (key) newKeys.add(key);
+            });
+
+            // 同一個 key 可能出現多次（例如兩張相同的圖表），依序認領
+            const oldByKey = new Map();
+            Array.from(oldParent.childNodes).slice(startIndex).forEach(node => {
+                const key = this._nodeKey(node);
+                if (!key || !newKeys.has(key)) return;
+                if (!oldByKey.has(key)) oldByKey.set(key, []);
+                oldByKey.get(key).push(node);
+            });
+
+            newNodes.forEach((newNode, i) => {
+                const current = oldParent.childNodes[startIndex + i] || null;
+                const key = this._nodeKey(newNode);
+                let match = null;
+
+                if (key && oldByKey.has(key) && oldByKey.get(key).length > 0) {
+                    match = oldByKey.get(key).shift();
+                } else if (current && this._isSameNodeType(current, newNode)) {
+                    // 位置上的舊節點若已被其他新節點以 key 預約，則不可挪用
+                    const currentKey = this._nodeKey(current);
+                    if (!currentKey || !oldByKey.has(currentKey) || oldByKey.get(currentKey).indexOf(current) === -1) {
+                        match = current;
+                    }
+                }
+
+                if (!match) {
+                    oldParent.insertBefore(newNode.cloneNode(true), current);
+                    return;
+                }
+
+                if (match !== current) {
+                    oldParent.insertBefore(match, current);
+                }
+                this._morphNode(match, newNode);
+            });
+
+            while (oldParent.childNodes.length > startIndex + newNodes.length) {
+                oldParent.lastChild.remove();
+            }
+        }
+
+        // 淡入：新模板沿用舊 DOM 中仍在動畫的 span.akari-fade（比對時視為相同，動畫不會重播），
+        // 延續舊文字而新增的部分與全新的節點則包成新的 span.akari-fade
+        _mirrorFades(oldParent, newParent, startIndex) {
+            // 舊節點依「文字 + 其後的淡入 span」分組，對應新模板中的一個節點
+            const groups = [];
+            Array.from(oldParent.childNodes).slice(startIndex).forEach(node => {
+                const last = groups[groups.length - 1];
+                if (this._isFade(node) && last && last.text !== null) {
+                    last.text += node.textContent;
+                    last.spans.push(node);
+                } else if (this._isFade(node) || node.nodeType === Node.TEXT_NODE) {
+                    const fade = this._isFade(node);
+                    groups.push({ text: node.textContent, plain: fade ? '' : node.nodeValue, spans: fade ? [node] : [] });
+                } else {
+                    groups.push({ text: null });
+                }
+            });
+
+            Array.from(newParent.childNodes).forEach((newNode, i) => {
+                const group = groups[i];
+                if (newNode.nodeType === Node.TEXT_NODE) {
+                    const value = newNode.nodeValue;
+                    if (group && group.text !== null && value.startsWith(group.text)) {
+                        const parts = group.spans.map(span => span.cloneNode(true));
+                        if (group.plain) parts.unshift(group.plain);
+                        if (value.length > group.text.length) parts.push(this._createFade(value.slice(group.text.length)));
+                        newNode.replaceWith(...parts);
+                    } else if (!group && value.trim()) {
+                        newNode.replaceWith(this._createFade(value));
+                    }
+                } else if (!group && newNode.nodeType === Node.ELEMENT_NODE) {
+                    this._wrapFades(newNode);
+                }
+            });
+        }
+
+        // 全新的元素：其中的文字都包成淡入 span（公式、圖表與工具列除外）
+        _wrapFades(element) {
+            if (element.matches('.katex, .katex-display, svg, [data-tex], [data-fence], [data-rendered], .akari-code-toolbar')) return;
+            Array.from(element.childNodes).forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) {
+                    this._wrapFades(node);
+                } else if (node.nodeType === Node.TEXT_NODE && node.nodeValue.trim()) {
+                    node.replaceWith(this._createFade(node.nodeValue));
+                }
+            });
+        }
+
+        _createFade(text) {
+            const span = document.createElement('span');
+            span.className = 'akari-fade';
+            span.textContent = text;
+            return span;
+        }
+
+        _isFade(node) {
+            return node.nodeType === Node.ELEMENT_NODE && node.classList.contains('akari-fade');
+        }
+
+        // 動畫結束後還原為一般文字
+        _settleFade(span) {
+            const parent = span.parentNode;
+            if (!parent) return;
+            span.replaceWith(...span.childNodes);
+            parent.normalize();
+        }
+
+        _morphNode(oldNode, newNode) {
+            if (oldNode.nodeType !== Node.ELEMENT_NODE) {
+                if (oldNode.nodeValue !== newNode.nodeValue) {
+                    oldNode.nodeValue = newNode.nodeValue;
+                }
+                return;
+            }
+
+            // Fence 保護邏輯：已渲染（或已顯示錯誤）的節點內部不再是原始碼，無法逐層比對
+            if (oldNode.dataset.rendered) {
+                if (this._nodeKey(oldNode) !== this._nodeKey(newNode)) {
+                    oldNode.replaceWith(newNode.cloneNode(true));
+                }
+                return;
+            }
+
+            if (oldNode.isEqualNode(newNode)) return;
+
+            this._morphAttributes(oldNode, newNode);
+            this._morphChildren(oldNode, newNode);
+        }
+
+        _morphAttributes(oldNode, newNode) {
+            // <details> 的展開狀態由使用者操作決定，不隨重新渲染重置
+            const preserved = oldNode.tagName === 'DETAILS' ? ['open'] : [];
+
+            Array.from(oldNode.attributes).forEach(attr => {
+                if (!newNode.hasAttribute(attr.name) && !preserved.includes(attr.name)) {
+                    oldNode.removeAttribute(attr.name);
+                }
+            });
+            Array.from(newNode.attributes).forEach(attr => {
+                if (oldNode.getAttribute(attr.name) !== attr.value && !preserved.includes(attr.name)) {
+                    oldNode.setAttribute(attr.name, attr.value);
+                }
+            });
+        }
+
+        _isSameNodeType(a, b) {
+            return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+        }
+
+        _nodeKey(node) {
+            if (node.nodeType !== Node.ELEMENT_NODE) return null;
+            const key = node.getAttribute('data-code') || node.getAttribute('data-key');
+            return key ? `${node.nodeName}:${key}` : null;
+        }
+
+        _scheduleFenceRender(delay = this.options.mermaidDebounce) {
+            // 快取中已有的圖表立即放回，整份重新渲染時不會閃爍
+            this._pendingFenceNodes().forEach(node => {
+                const cached = this._cachedFence(node);
+                if (cached) this._applyFence(node, cached.source, cached.result, 0);
+            });
+
+            if (this._fenceTimer) clearTimeout(this._fenceTimer);
+            this._fenceTimer = setTimeout(() => {
+                this._fenceTimer = null;
+                this._queueFences();
+                this._drainFences();
+            }, delay);
+        }
+
+        // 尚未處理的 fence 節點（成功或錯誤都會標記 data-rendered）
+        // 原始碼變更時 data-code 會不同，_updateDOM 會換上新節點並重新渲染
+        _pendingFenceNodes() {
+            return Array.from(this.container.querySelectorAll('[data-fence]'))
+                .filter(node => !node.dataset.rendered && !node.classList.contains('akari-loading') && fences.has(node.dataset.fence));
+        }
+
+        // 以目前的 DOM 重建佇列：已離開 DOM 的舊工作作廢，渲染中的也一併取消
+        _queueFences() {
+            this._fenceQueue = new Map();
+            this._pendingFenceNodes().forEach(node => {
+                const key = `${node.dataset.fence}:${node.dataset.code}`;
+                if (!this._fenceQueue.has(key)) this._fenceQueue.set(key, []);
+                this._fenceQueue.get(key).push(node);
+            });
+
+            const job = this._fenceJob;
+            if (job && !this.container.contains(job.node)) job.controller.abort();
+        }
+
+        // 依序處理佇列；渲染中途加入的新圖表會在同一輪接著處理，不會被略過
+        async _drainFences() {
+            if (this._isFenceWorking) return;
+            this._isFenceWorking = true;
+
+            try {
+                while (this._fenceQueue.size > 0) {
+                    const [key, nodes] = this._fenceQueue.entries().next().value;
+                    this._fenceQueue.delete(key);
+
+                    const live = nodes.filter(node => this.container.contains(node) && !node.dataset.rendered);
+                    if (live.length > 0) await this._renderFence(live);
+                }
+            } finally {
+                this._isFenceWorking = false;
+            }
+        }
+
+        // 同一 data-code 的節點只渲染一次，結果套用到全部
+        async _renderFence(nodes) {
+            const [node] = nodes;
+            const lang = node.dataset.fence;
+            const fence = fences.get(lang);
+            // 再次解碼，確保從 DOM 取回的代碼是乾淨的
+            const code = decodeHtml(node.textContent);
+            if (!code.trim()) return;
+
+            // 排隊期間可能已由其他實例（或被取代的舊節點）渲染完成
+            const cached = this._cachedFence(node);
+            if (cached) {
+                nodes.forEach(target => this._applyFence(target, code, cached.result, 0));
+                return;
+            }
+
+            const startTime = performance.now();
+            const cacheKey = this._fenceCacheKey(node, code);
+            const controller = new AbortController();
+            this._fenceJob = { node, controller };
+
+            // 沿用其他實例的渲染時記下來，失敗時才能分辨是否為對方取消
+            const shared = cacheKey !== null ? pendingFences.get(cacheKey) || null : null;
+
+            try {
+                let task = shared ? shared.task : null;
+                if (!task) {
+                    task = runExclusive(() => {
+                        // 排隊期間節點已被取代：不再渲染，也不讓其他實例沿用這個 Promise
+                        if (controller.signal.aborted) {
+                            const entry = cacheKey !== null ? pendingFences.get(cacheKey) : null;
+                            if (entry && entry.controller === controller) pendingFences.delete(cacheKey);
+                            throw controller.signal.reason;
+                        }
+                        return fence.render(code, node, { lang, theme: this._theme, element: this, signal: controller.signal });
+                    });
+                    if (cacheKey !== null) {
+                        const entry = { task, controller };
+                        pendingFences.set(cacheKey, entry);
+                        task.then(result => {
+                            if (typeof result === 'string') cacheFence(cacheKey, { source: code, result });
+                        }, () => {}).finally(() => {
+                            if (pendingFences.get(cacheKey) === entry) pendingFences.delete(cacheKey);
+                        });
+                    }
+                }
+                const result = await task;
+
+                // 等待期間被新內容取代的節點不再套用（結果已進快取）
+                nodes.filter(target => this.container.contains(target) && !target.dataset.rendered)
+                    .forEach(target => this._applyFence(target, code, result, performance.now() - startTime));
+            } catch (err) {
+                if (controller.signal.aborted) return;
+                // 共用的渲染被發起的實例取消：自己重新排一次（渲染器本身拋出的 AbortError 照常視為錯誤）
+                if (shared && shared.controller.signal.aborted) {
+                    if (pendingFences.get(cacheKey) === shared) pendingFences.delete(cacheKey);
+                    return this._renderFence(nodes);
+                }
+
+                const label = fence.label || lang;
+                const legacy = lang === 'mermaid';
+                const eventPrefix = legacy ? 'akari:mermaid' : 'akari:fence';
+                console.warn(`[AkariMarkdown] ${label} Error:`, err);
+
+                nodes.filter(target => this.container.contains(target)).forEach(target => {
+                    // 保留原始碼方便修改，除非渲染器提供自己的錯誤框
+                    const custom = fence.onError ? fence.onError(err, code, target) : null;
+                    target.innerHTML = typeof custom === 'string' ? custom : `
+                        <div class="akari-fence-error-msg${legacy ? ' mermaid-error-msg' : ''}" part="error">⚠️ ${escapeHtml(label)} Error:\n${escapeHtml(err.message || String(err))}</div>
+                        <div class="akari-fence-source${legacy ? ' mermaid-source' : ''}" part="fence-source">${escapeHtml(code)}</div>
+                    `;
+                    this._fenceSources.set(target, code);
+                    target.dataset.rendered = "error";
+                    target.classList.add('akari-fence-error');
+                    if (legacy) target.classList.add('mermaid-error');
+                    this._emit(`${eventPrefix}-error`, { lang, source: code, node: target, error: err });
+                });
+            } finally {
+                if (this._fenceJob && this._fenceJob.controller === controller) this._fenceJob = null;
+            }
+        }
+
+        _applyFence(node, code, result, duration) {
+            if (typeof result === 'string') {
+                node.innerHTML = result;
+            } else if (result instanceof Node) {
+                // 同一結果套用到多個節點時需要複製
+                node.replaceChildren(result.parentNode ? result.cloneNode(true) : result);
+            }
+            this._fenceSources.set(node, code);
+            node.dataset.rendered = "true";
+            node.classList.remove('akari-fence-error', 'mermaid-error');
+            if (this.options.diagramToolbar) this._attachDiagramToolbar(node);
+
+            // mermaid 保留專屬事件名稱，其他 fence 使用通用名稱
+            const lang = node.dataset.fence;
+            const eventPrefix = lang === 'mermaid' ? 'akari:mermaid' : 'akari:fence';
+            this._emit(`${eventPrefix}-rendered`, { lang, source: code, node, duration });
+        }
+
+        // 結果受主題與安全等級影響，一併放進快取鍵；未啟用 cache 的 fence 回傳 null
+        _fenceCacheKey(node, code) {
+            const fence = fences.get(node.dataset.fence);
+            if (!fence || !fence.cache) return null;
+            const { mermaidTheme, theme } = this.options;
+            const security = this._renderer.sanitizePolicy().mermaidSecurityLevel;
+            return [node.dataset.fence, this._theme, mermaidTheme, theme, security, code].join('\n');
+        }
+
+        _cachedFence(node) {
+            const code = decodeHtml(node.textContent);
+            const key = this._fenceCacheKey(node, code);
+            const entry = key !== null ? fenceCache.get(key) : undefined;
+            if (!entry) return null;
+
+            // 重新插入，維持最近使用的順序
+            cacheFence(key, entry);
+            return entry;
+        }
+
+        _clearTimers() {
+            if (this._renderTimer) clearTimeout(this._renderTimer);
+            if (this._fenceTimer) clearTimeout(this._fenceTimer);
+            this._renderTimer = null;
+            this._fenceTimer = null;
+        }
+
+        _reportMathError(value, err) {
+            if (this._reportedMathErrors.has(value.tex)) return;
+            this._reportedMathErrors.add(value.tex);
+
+            console.warn('[AkariMarkdown] Math Error:', err);
+            this._emit('akari:math-error', { source: value.tex, display: value.display, error: err });
+        }
+
+    };
+}
@@ -0,0 +1,1103 @@
+/*!
+ * AKARI-Markdown.js v1.2.0 - Renderer
+ * (c) 2026 h-o-w-a-r-d
+ * Released under the MIT License.
+ * Repository: https://github.com/h-o-w-a-r-d/AKARI-Markdown.js
+ */
+
+// 不依賴 DOM 的渲染管線（parse → protect → sanitize → KaTeX），元素、伺服器端與 Web Worker 共用
+
+// 渲染管線自己產生的屬性，任何預設都必須保留
+const INTERNAL_ATTRS = ['class', 'part', 'data-code', 'data-fence', 'data-key', 'data-rendered'];
+
+// 消毒策略預設；config.sanitize 中的欄位會覆寫所選預設的同名欄位
+const SANITIZE_PRESETS = {
+    default: {
+        allowedTags: ['iframe'],
+        forbiddenTags: [],
+        allowedAttributes: ['target'],
+        forbiddenAttributes: [],
+        iframeHosts: [],            // 空陣列代表不允許任何 iframe
+        linkProtocols: ['http', 'https', 'mailto', 'tel'],
+        enforceNoopener: true,
+        mermaidSecurityLevel: 'antiscript'
+    },
+    strict: {
+        allowedTags: [],
+        forbiddenTags: ['iframe', 'style', 'form', 'button', 'textarea', 'select', 'object', 'embed'],
+        allowedAttributes: [],
+        forbiddenAttributes: ['style', 'target'],
+        iframeHosts: [],
+        linkProtocols: ['http', 'https'],
+        enforceNoopener: true,
+        mermaidSecurityLevel: 'strict'
+    }
+};
+
+// 內建程式碼區塊的工具列與行號設定
+const CODE_BLOCK_DEFAULTS = {
+    copyButton: true,
+    languageLabel: true,
+    lineNumbers: false
+};
+
+// 純文字區塊：不需要高亮，也不嘗試載入語言定義
+const PLAIN_LANGUAGES = new Set(['text', 'plain', 'plaintext', 'txt']);
+
+// 標題設定：anchors 為滑鼠移上時顯示的 # 連結
+const HEADING_DEFAULTS = {
+    anchors: false
+};
+
+// GitHub 風格提示區塊：> [!NOTE] 等標記 → 標題文字
+const ALERT_TITLES = {
+    note: 'Note',
+    tip: 'Tip',
+    important: 'Important',
+    warning: 'Warning',
+    caution: 'Caution'
+};
+
+// 數學式設定：分隔符號依序比對，display 的分隔符號可跨行
+const MATH_DEFAULTS = {
+    delimiters: [
+        { left: '$$', right: '$$', display: true },
+        { left: '\\[', right: '\\]', display: true },
+        { left: '$', right: '$', display: false },
+        { left: '\\(', right: '\\)', display: false }
+    ],
+    environments: true,   // 未加分隔符號的 \begin{align}...\end{align} 等環境
+    macros: {},
+    mhchem: false         // 啟用 \ce{} / \pu{}（需要時才載入 mhchem 擴充）
+};
+
+// 可以直接出現在文字中的 LaTeX 數學環境
+const MATH_ENVIRONMENTS = '(?:equation|align|alignat|gather|CD|[pbBvV]?matrix|cases|array|split)\\*?';
+
+// 伺服器端 / Worker 的預設宿主：沒有延遲載入，也沒有事件可發
+const HEADLESS_HOST = {
+    languageState: (lang, libs) => (lang && libs.hljs && libs.hljs.getLanguage(lang) ? 'ready' : 'none'),
+    requireRenderer: () => false,
+    onBlocked: () => {},
+    onMathError: () => {}
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+export class AkariRenderer {
+    /**
+     * @param {object} deps
+     * @param {Function} deps.Marked      marked 的 Marked 類別
+     * @param {object} [deps.DOMPurify]   DOMPurify 實例；沒有 DOM 的環境可改傳 sanitize
+     * @param {Function} [deps.sanitize]  自訂消毒函式 (html, policy) => html
+     * @param {object} [deps.libs]        已載入的 katex / hljs
+     * @param {Map|string[]} [deps.fences] 交給元素（或 hydrate 後）渲染的 fence 語言
+     * @param {object} [deps.host]        延遲載入與事件回報的掛勾，預設為 HEADLESS_HOST
+     * @param {object} [deps.options]     與元素 config 相同的設定
+     */
+    constructor({ Marked, DOMPurify, sanitize, libs = {}, fences = ['mermaid'], host = {}, options = {} }) {
+        this.Marked = Marked;
+        this.DOMPurify = DOMPurify;
+        this.sanitizer = sanitize;
+        this.libs = libs;
+        this.fences = fences instanceof Map ? fences : new Map(fences.map(lang => [lang, {}]));
+        this.host = { ...HEADLESS_HOST, ...host };
+        this.options = options;
+
+        this.counter = 0;
+        this.mathMap = new Map();
+        this.codeMap = new Map();
+        this.trustedMap = new Map();
+        this.slugs = new Map();     // 目前渲染中已使用的標題 slug
+        this.taskLines = [];        // 任務項目的原始碼行號，checkbox 依渲染順序取用
+        this._taskSource = null;
+        this.marked = null;
+
+        this.createParser();
+    }
+
+    // 單一片段的完整管線：parse → protect → sanitize → KaTeX
+    render(text, options) {
+        return this.finish(this.parse(text, options));
+    }
+
+    /**
+     * 消毒之前的步驟（marked、highlight.js、KaTeX），Worker 模式下在 Worker 中執行。
+     * 數學式與工具列等受信任片段以佔位符留在 html 中，消毒後才由 finish() 放回。
+     *
+     * @param {string} text
+     * @param {{ streaming?: boolean, line?: number }} [options]  streaming: 內容仍在追加中，尚未閉合的 display math 顯示為佔位；
+     *   line: text 第一行在整份文件中的行號，用於任務項目的 data-line
+     * @returns {{ html: string, replacements: Array<[string, string]> }}
+     */
+    parse(text, { streaming = false, line = 1 } = {}) {
+        const hooks = this.options.hooks || {};
+        if (hooks.beforeParse) {
+            text = hooks.beforeParse(text);
+        }
+
+        this.mathMap.clear();
+        this.codeMap.clear();
+        this.trustedMap.clear();
+        this.counter = 0;
+
+        const processed = this._protectCodeAndMath(text, streaming);
+        this._taskSource = { text: processed, line };
+        let html;
+        try {
+            html = this.marked.parse(processed);
+        } finally {
+            this._taskSource = null;
+            this.taskLines = [];
+        }
+        return { html, replacements: [...this._renderMath(), ...this.trustedMap] };
+    }
+
+    // 消毒之後的步驟：DOMPurify 需要 DOM，因此一律在主執行緒執行
+    finish({ html, replacements }) {
+        const hooks = this.options.hooks || {};
+        html = this._sanitize(html);
+
+        if (hooks.afterSanitize) {
+            html = hooks.afterSanitize(html);
+        }
+
+        replacements.forEach(([key, value]) => {
+            html = html.split(key).join(value);
+        });
+        return html;
+    }
+
+    // 只做區塊切分，供增量串流判斷哪些區塊已經完整
+    lexer(text) {
+        return this.marked.lexer(text);
+    }
+
+    // 每個元素擁有自己的 Marked 實例，互不影響，也不會沾染頁面上全域 marked 的設定
+    createParser() {
+        const renderer = {
+            // part 讓外部能以 ::part(heading-2) 等選擇器設定樣式
+            heading: (text, level) => {
+                const id = this.slugify(text);
+                const { anchors } = { ...HEADING_DEFAULTS, ...this.options.headings };
+                const anchor = anchors
+                    ? `<a class="akari-heading-anchor" part="heading-anchor" href="#${id}" aria-label="Link to this section">#</a>`
+                    : '';
+                return `<h${level} id="${id}" part="heading heading-${level}">${text}${anchor}</h${level}>\n`;
+            },
+
+            // > [!NOTE] 開頭的引用區塊轉為提示區塊
+            blockquote: (quote) => {
+                const match = /^<p>\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(?:<br>)?\n?/i.exec(quote);
+                if (!match) return `<blockquote>\n${quote}</blockquote>\n`;
+
+                const type = match[1].toLowerCase();
+                let body = quote.slice(match[0].length);
+                body = body.startsWith('</p>') ? body.slice(4).replace(/^\n/, '') : `<p>${body}`;
+                return `<div class="akari-alert akari-alert-${type}" part="alert alert-${type}"><p class="akari-alert-title">${ALERT_TITLES[type]}</p>\n${body}</div>\n`;
+            },
+
+            // 任務清單可直接勾選，變更透過 task-toggled 事件回報
+            listitem: (text, task) => {
+                return task ? `<li class="task-list-item">${text}</li>\n` : `<li>${text}</li>\n`;
+            },
+            checkbox: (checked) => {
+                const line = this.taskLines.shift();
+                const lineAttr = line ? ` data-line="${line}"` : '';
+                return `<input type="checkbox" class="akari-task" part="task-checkbox" data-task${lineAttr}${checked ? ' checked' : ''}>`;
+            }
+
+        };
+
+        // 以 extension renderer 取得完整 token（含 raw），才能判斷該區塊本身是否已閉合
+        const extensions = [{
+            // 單獨一行的 [[toc]] 產生目錄
+            name: 'toc',
+            level: 'block',
+            start: (src) => {
+                const match = src.match(/^\[\[toc\]\]/im);
+                return match ? match.index : undefined;
+            },
+            tokenizer: (src) => {
+                const match = /^\[\[toc\]\][ \t]*(?:\n+|$)/i.exec(src);
+                if (match) return { type: 'toc', raw: match[0] };
+            },
+            renderer: () => '<nav class="akari-toc" part="toc" data-key="toc" data-rendered="toc"></nav>\n'
+        }, {
+            // 註腳定義：[^label]: 內容，後續縮排行屬於同一個註腳
+            name: 'footnote',
+            level: 'block',
+            start: (src) => {
+                const match = src.match(/^\[\^[^\]\s]+\]:/m);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?:[ \t]{2,}|\t)[^\n]*)*)(?:\n+|$)/.exec(src);
+                if (!match) return;
+                const text = match[2].replace(/\n(?:[ \t]{2,4}|\t)/g, '\n');
+                return { type: 'footnote', raw: match[0], label: match[1], tokens: this.lexer.blockTokens(text, []) };
+            },
+            renderer(token) {
+                return `<div class="akari-footnote-def" data-footnote="${token.label.replace(/"/g, '&quot;')}">${this.parser.parse(token.tokens)}</div>\n`;
+            }
+        }, {
+            // 註腳參照：編號在渲染後依出現順序填入，找不到定義時保留原文
+            name: 'footnoteRef',
+            level: 'inline',
+            start: (src) => {
+                const index = src.indexOf('[^');
+                return index < 0 ? undefined : index;
+            },
+            tokenizer: (src) => {
+                const match = /^\[\^([^\]\s]+)\](?!:)/.exec(src);
+                if (match) return { type: 'footnoteRef', raw: match[0], label: match[1] };
+            },
+            renderer: (token) => {
+                const label = escapeHtml(token.label);
+                return `<sup><a class="akari-footnote-ref" part="footnote-ref" href="#fn-${encodeURIComponent(token.label)}" data-footnote="${label}">[^${label}]</a></sup>`;
+            }
+        }, {
+            // 定義清單：詞條一行，接著一或多行 ": 說明"
+            name: 'definitionList',
+            level: 'block',
+            start: (src) => {
+                const match = src.match(/^[^:\n][^\n]*\n:[ \t]/m);
+                return match ? match.index : undefined;
+            },
+            tokenizer(src) {
+                const match = /^(?:[^:\n][^\n]*\n(?::[ \t]+[^\n]*(?:\n|$))+\n?)+/.exec(src);
+                if (!match) return;
+
+                const items = [];
+                match[0].split('\n').forEach(line => {
+                    if (!line.trim()) return;
+                    if (/^:[ \t]/.test(line)) {
+                        items[items.length - 1].definitions.push(this.lexer.inlineTokens(line.replace(/^:[ \t]+/, '')));
+                    } else {
+                        items.push({ term: this.lexer.inlineTokens(line.trim()), definitions: [] });
+                    }
+                });
+                return { type: 'definitionList', raw: match[0], items };
+            },
+            renderer(token) {
+                const body = token.items.map(item =>
+                    `<dt>${this.parser.parseInline(item.term)}</dt>\n` +
+                    item.definitions.map(tokens => `<dd>${this.parser.parseInline(tokens)}</dd>\n`).join('')
+                ).join('');
+                return `<dl>\n${body}</dl>\n`;
+            }
+        }, {
+            name: 'code',
+            renderer: (token) => {
+                const code = token.text;
+                const info = token.lang;
+
+                // 縮排式程式碼區塊沒有結尾標記，永遠視為閉合
+                const [block] = scanFences(token.raw);
+                const closed = token.codeBlockStyle === 'indented' || !block || block.closed;
+
+                // 資訊字串：語言名稱之後可接 {1,3-5} 行高亮
+                const { lang, highlightLines } = this._parseInfoString(info);
+
+                const fence = this.fences.get(lang);
+                if (fence) {
+                    return this._renderFencePlaceholder(lang, fence, code, closed);
+                }
+
+                const state = PLAIN_LANGUAGES.has(lang.toLowerCase()) ? 'none' : this.host.languageState(lang, this.libs);
+                let highlighted = null;
+                if (state === 'ready') {
+                    try {
+                        highlighted = this.libs.hljs.highlight(code, { language: lang }).value;
+                    } catch (e) { }
+                }
+                // 語言標籤依資訊字串顯示，即使該語言沒有（或尚未）高亮
+                return this._renderCodeBlock(code, info || '', lang, highlighted, highlightLines, state === 'loading');
+            }
+        }];
+
+        this.marked = new this.Marked();
+        this.marked.use({
+            renderer,
+            extensions,
+            hooks: {
+                processAllTokens: tokens => {
+                    if (this._taskSource) this.taskLines = this._locateTasks(tokens);
+                    return tokens;
+                }
+            }
+        });
+
+        // 使用者設定在內建擴充之後套用，可覆寫 gfm / breaks 或同名 renderer
+        const { markedOptions, markedExtensions = [] } = this.options;
+        if (markedOptions) this.marked.use(markedOptions);
+        markedExtensions.forEach(extension => this.marked.use(extension));
+    }
+
+    // 依 token 樹找出每個任務項目的起始行，順序與 checkbox 的渲染順序相同；找不到位置的記為 null
+    _locateTasks(tokens) {
+        const { text, line } = this._taskSource;
+        const newlines = str => str.split('\n').length - 1;
+
+        // 數學佔位符把多行公式收成一行，換算回原文的行號
+        let extra = 0;
+        const shift = text.split('\n').map(row => {
+            const current = extra;
+            (row.match(/MATH(?:BLOCK|INLINE)\d+ENDMATH/g) || []).forEach(key => {
+                if (this.mathMap.has(key)) extra += newlines(this.mathMap.get(key).source);
+            });
+            return current;
+        });
+
+        const lines = [];
+        // source：這組 token 被切分出來的文字；start：source 第一行的行號（0 起算，未知為 null）
+        const walk = (list, source, start) => {
+            let cursor = 0;
+            list.forEach(token => {
+                let row = null;
+                const index = source === null ? -1 : source.indexOf(token.raw, cursor);
+                if (index !== -1) {
+                    row = start + newlines(source.slice(0, index));
+                    cursor = index + token.raw.length;
+                }
+
+                if (token.type === 'list') {
+                    walk(token.items, row === null ? null : token.raw, row);
+                } else if (token.type === 'list_item') {
+                    if (token.task) lines.push(row === null ? null : line + row + shift[row]);
+                    walk(token.tokens || [], row === null ? null : token.text, row);
+                } else if (token.type === 'blockquote') {
+                    walk(token.tokens, row === null ? null : token.text, row);
+                } else if (Array.isArray(token.tokens)) {
+                    // 其他容器（如註腳）內文經過縮排處理，只保留順序
+                    walk(token.tokens, null, null);
+                }
+            });
+        };
+        walk(tokens, text, 0);
+        return lines;
+    }
+
+    // GitHub 風格：小寫、去除標點、空白轉 -；保留 CJK 等各語系文字，重複時加 -1、-2
+    slugify(html) {
+        const text = decodeHtml(html.replace(/<[^>]*>/g, ''))
+            .replace(/MATH(?:BLOCK|INLINE)\d+ENDMATH/g, key => this.mathMap.has(key) ? this.mathMap.get(key).tex : '');
+        const base = text.trim().toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+            .replace(/\s+/g, '-') || 'section';
+
+        let slug = base;
+        let count = this.slugs.get(base) || 0;
+        while (this.slugs.has(slug)) {
+            slug = `${base}-${++count}`;
+        }
+        this.slugs.set(base, count);
+        if (slug !== base) this.slugs.set(slug, 0);
+        return slug;
+    }
+
+    _parseInfoString(info) {
+        info = (info || '').trim();
+        // 只有 {1,3-5} 而沒有語言名稱時不當成語言
+        const first = info.split(/\s+/)[0] || '';
+        const lang = first.startsWith('{') ? '' : first;
+        const highlightLines = new Set();
+
+        const match = info.match(/\{([\d,\s-]+)\}/);
+        if (match) {
+            match[1].split(',').forEach(range => {
+                const [start, end] = range.trim().split('-').map(Number);
+                if (!start) return;
+                for (let line = start; line <= (end || start) && line - start < 10000; line++) {
+                    highlightLines.add(line);
+                }
+            });
+        }
+        return { lang, highlightLines };
+    }
+
+    _renderCodeBlock(code, info, lang, highlighted, highlightLines, loading) {
+        const opts = { ...CODE_BLOCK_DEFAULTS, ...this.options.codeBlock };
+        let body = highlighted !== null ? highlighted : escapeHtml(code);
+
+        if (opts.lineNumbers || highlightLines.size > 0) {
+            body = this._splitHighlightedLines(body).map((line, i) => {
+                const className = highlightLines.has(i + 1) ? 'akari-line akari-line-highlight' : 'akari-line';
+                return `<span class="${className}" data-line="${i + 1}">${line}</span>`;
+            }).join('\n');
+        }
+
+        // 工具列是我們自己產生的可信 HTML，以佔位符通過消毒（strict 預設會移除 <button>）
+        let toolbar = '';
+        if (opts.languageLabel && lang) {
+            toolbar += `<span class="akari-code-lang">${escapeHtml(lang)}</span>`;
+        }
+        if (opts.copyButton) {
+            toolbar += `<button type="button" class="akari-code-copy" part="copy-button" data-action="copy">Copy</button>`;
+        }
+        if (toolbar) {
+            const key = `TRUSTED${this.counter++}ENDTRUSTED`;
+            this.trustedMap.set(key, `<div class="akari-code-toolbar" part="code-toolbar">${toolbar}</div>`);
+            toolbar = key;
+        }
+
+        const classes = ['akari-code'];
+        if (opts.lineNumbers) classes.push('line-numbers');
+        const preClass = loading ? ' class="akari-loading"' : '';
+        const codeClass = highlighted !== null && lang ? `hljs language-${lang}` : 'hljs';
+
+        // data-key 讓 _updateDOM 在區塊位移時仍能配對到同一個節點
+        return `<div class="${classes.join(' ')}" data-key="${hashCode(info + code)}">${toolbar}<pre part="code-block"${preClass}><code class="${codeClass}">${body}</code></pre></div>`;
+    }
+
+    // 將 highlight.js 的輸出切成行；跨行的 <span> 在行尾關閉並於下一行重新開啟
+    _splitHighlightedLines(html) {
+        const lines = [];
+        const open = [];
+        let current = '';
+
+        html.split(/(<[^>]+>)/).forEach(part => {
+            if (part.startsWith('</')) {
+                open.pop();
+                current += part;
+            } else if (part.startsWith('<')) {
+                open.push(part);
+                current += part;
+            } else {
+                const segments = part.split('\n');
+                segments.forEach((segment, i) => {
+                    if (i > 0) {
+                        lines.push(current + '</span>'.repeat(open.length));
+                        current = open.join('');
+                    }
+                    current += segment;
+                });
+            }
+        });
+        lines.push(current);
+
+        // 結尾換行不另外產生空白行
+        if (lines.length > 1 && lines[lines.length - 1] === open.join('')) lines.pop();
+        return lines;
+    }
+
+    _renderFencePlaceholder(lang, fence, code, closed) {
+        // ★ 關鍵修復：解碼 HTML 實體 (如 &gt; 轉為 >)，否則 Mermaid 等解析器會報錯
+        const cleanCode = decodeHtml(code);
+
+        // 一出現區塊（即使仍在串流中）就開始預先載入渲染器
+        const loading = fence.load ? this.host.requireRenderer(lang, fence.load) : false;
+
+        // 檢查完整性
+        const isComplete = fence.isComplete ? fence.isComplete(cleanCode, { closed }) : closed;
+
+        // mermaid 保留舊版的 .mermaid* class，既有樣式與選擇器不受影響
+        const legacy = lang === 'mermaid';
+
+        if (!isComplete) {
+            return fence.renderStreaming
+                ? fence.renderStreaming(cleanCode)
+                : `<div class="akari-fence-streaming${legacy ? ' mermaid-streaming' : ''}" part="fence-streaming">${escapeHtml(cleanCode)}</div>`;
+        }
+
+        // 添加 data-code hash 用於 diff 對比
+        const className = `akari-fence${legacy ? ' mermaid' : ''}${loading ? ' akari-loading' : ''}`;
+        const part = /^[\w-]+$/.test(lang) ? `fence fence-${lang}` : 'fence';
+        return `<div class="${className}" part="${part}" data-fence="${escapeHtml(lang)}" data-code="${hashCode(lang + '\n' + cleanCode)}">${escapeHtml(cleanCode)}</div>`;
+    }
+
+    _protectCodeAndMath(text, streaming = false) {
+        if (!text) return '';
+        let processed = text;
+
+        // Code blocks（包含串流中尚未閉合的區塊，避免其中的 $ 被當成數學式）
+        const blocks = scanFences(processed);
+        for (let i = blocks.length - 1; i >= 0; i--) {
+            const { start, end } = blocks[i];
+            const key = `CODEBLOCK${this.counter++}ENDCODE`; 
+            this.codeMap.set(key, processed.slice(start, end));
+            processed = processed.slice(0, start) + key + processed.slice(end);
+        }
+        // Inline code
+        processed = processed.replace(/(`+)(.*?)\1/g, (match) => {
+            const key = `CODEINLINE${this.counter++}ENDCODE`;
+            this.codeMap.set(key, match);
+            return key;
+        });
+        // Escaped dollar
+        processed = processed.replace(/\\\$/g, (match) => {
+            const key = `ESCAPEDDOLLAR${this.counter++}END`;
+            this.codeMap.set(key, match);
+            return key;
+        });
+
+        const { delimiters, environments } = this.mathOptions();
+        const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // 公式中的其他佔位符還原為原文，佔位符本身不可成為 TeX
+        const placeholder = /MATH(?:BLOCK|INLINE)\d+ENDMATH|CODE(?:BLOCK|INLINE)\d+ENDCODE|ESCAPEDDOLLAR\d+END/g;
+        const protect = (match, tex, display, streaming = false) => {
+            const nested = [];
+            const restore = str => str.replace(placeholder, key => {
+                if (this.mathMap.has(key)) {
+                    nested.push(key);
+                    return this.mathMap.get(key).source;
+                }
+                return this.codeMap.has(key) ? this.codeMap.get(key) : key;
+            });
+            tex = restore(tex);
+            match = restore(match);
+            nested.forEach(key => this.mathMap.delete(key));
+
+            const key = `${display ? 'MATHBLOCK' : 'MATHINLINE'}${this.counter++}ENDMATH`;
+            this.mathMap.set(key, { tex, display, streaming, source: match });
+            return key;
+        };
+
+        // 位置 offset 是否落在尚未閉合的行內公式中（如 $\begin{pmatrix}...），左右相同的分隔符號不跨行
+        const inline = delimiters.filter(d => !d.display);
+        const insideInline = (str, offset) => inline.some(({ left, right }) => {
+            const before = str.slice(0, offset);
+            if (left === right) return before.slice(before.lastIndexOf('\n') + 1).split(left).length % 2 === 0;
+            return before.lastIndexOf(left) > before.lastIndexOf(right);
+        });
+
+        // Display math（可跨行）
+        delimiters.filter(d => d.display).forEach(({ left, right }) => {
+            const pattern = new RegExp(`${escape(left)}([\\s\\S]+?)${escape(right)}`, 'g');
+            processed = processed.replace(pattern, (match, tex) => protect(match, tex, true));
+        });
+        // 沒有分隔符號的 LaTeX 環境；已在行內公式中的交給行內處理
+        if (environments) {
+            const pattern = new RegExp(`\\\\begin\\{(${MATH_ENVIRONMENTS})\\}[\\s\\S]*?\\\\end\\{\\1\\}`, 'g');
+            processed = processed.replace(pattern, (match, name, offset, whole) => insideInline(whole, offset) ? match : protect(match, match, true));
+        }
+        // 串流中尚未閉合的 display math：從開頭到結尾整段顯示為佔位；完成的文件保留原文
+        const openers = delimiters.filter(d => d.display).map(d => escape(d.left));
+        if (environments) openers.push(`\\\\begin\\{${MATH_ENVIRONMENTS}\\}`);
+        if (streaming && openers.length > 0) {
+            const unclosed = new RegExp(`(^|\\n)[ \\t]*((?:${openers.join('|')})[\\s\\S]*)$`).exec(processed);
+            if (unclosed) {
+                const start = unclosed.index + unclosed[1].length;
+                const opener = delimiters.find(d => d.display && unclosed[2].startsWith(d.left));
+                const tex = opener ? unclosed[2].slice(opener.left.length) : unclosed[2];
+                processed = processed.slice(0, start) + protect(unclosed[2], tex, true, true);
+            }
+        }
+        // Inline math：左右相同的分隔符號（如 $）內側不可為空白，結尾後不可接數字，避免誤判金額
+        delimiters.filter(d => !d.display).forEach(({ left, right }) => {
+            const body = left === right ? `(?=\\S)([^\\n]*?\\S)` : `([\\s\\S]+?)`;
+            const after = left === right ? '(?!\\d)' : '';
+            const pattern = new RegExp(`${escape(left)}${body}${escape(right)}${after}`, 'g');
+            processed = processed.replace(pattern, (match, tex) => protect(match, tex, false));
+        });
+
+        this.codeMap.forEach((value, key) => processed = processed.replace(key, () => value));
+        return processed;
+    }
+
+    // 回傳 [佔位符, HTML] 清單
+    _renderMath() {
+        const entries = [];
+        const math = this.mathOptions();
+        const katexLoading = this.mathMap.size > 0 && !this.libs.katex && this.host.requireRenderer('katex');
+        // mhchem 只在公式真的用到 \ce / \pu 時才載入
+        const mhchemLoading = math.mhchem
+            && Array.from(this.mathMap.values()).some(value => /\\(?:ce|pu)\b/.test(value.tex))
+            && this.host.requireRenderer('mhchem');
+        const loading = katexLoading || mhchemLoading;
+
+        this.mathMap.forEach((value, key) => {
+            const mathKey = hashCode((value.display ? '$$' : '$') + value.tex);
+            const part = value.display ? 'math math-display' : 'math math-inline';
+            // data-tex 保留原始 TeX，供 toPlainText() 與匯出使用
+            const tex = escapeHtml(value.tex);
+
+            if (value.streaming) {
+                entries.push([key, `<span data-key="${mathKey}" data-tex="${tex}" part="math math-streaming" class="akari-fence-streaming akari-math-streaming">${escapeHtml(value.tex)}</span>`]);
+                return;
+            }
+
+            // KaTeX 尚未載入（或無法載入）時先顯示 TeX 原文
+            if (!this.libs.katex || mhchemLoading) {
+                const className = loading ? ' class="akari-loading"' : '';
+                entries.push([key, `<span data-key="${mathKey}" data-tex="${tex}" part="${part}"${className}>${escapeHtml(value.tex)}</span>`]);
+                return;
+            }
+
+            entries.push([key, this._mathHtml(value, math)]);
+        });
+        return entries;
+    }
+
+    /**
+     * 單一公式的 KaTeX 輸出（或錯誤框），供 hydrate 後 KaTeX 才載入時補上。
+     *
+     * @param {{ tex: string, display: boolean }} value
+     * @returns {string|null} KaTeX 尚未載入時為 null
+     */
+    renderMath(value) {
+        return this.libs.katex ? this._mathHtml(value, this.mathOptions()) : null;
+    }
+
+    _mathHtml(value, math) {
+        const mathKey = hashCode((value.display ? '$$' : '$') + value.tex);
+        const part = value.display ? 'math math-display' : 'math math-inline';
+        const tex = escapeHtml(value.tex);
+
+        let rendered;
+        try {
+            rendered = this._renderTex(value, math);
+        } catch (err) {
+            this.host.onMathError(value, err);
+            // 與 fence 相同的錯誤框：錯誤訊息加上 TeX 原文
+            const className = value.display ? 'akari-math-error akari-math-error-display' : 'akari-math-error';
+            return `<span data-key="${mathKey}" data-tex="${tex}" part="${part} math-error" class="${className}">`
+                + `<span class="akari-fence-error-msg" part="error">⚠️ ${escapeHtml(err.message || String(err))}</span>`
+                + `<span class="akari-fence-source" part="fence-source">${escapeHtml(value.tex)}</span></span>`;
+        }
+        return rendered.replace(/^<span /, `<span data-key="${mathKey}" data-tex="${tex}" part="${part}" `);
+    }
+
+    _renderTex(value, math) {
+        return this.libs.katex.renderToString(value.tex, {
+            displayMode: value.display,
+            throwOnError: true,
+            // 允許公式中出現中文等文字，不在 console 警告
+            strict: (code) => code === 'unicodeTextInMathMode' ? 'ignore' : 'warn',
+            // 複製一份，避免 \gdef 之類的定義在公式之間累積
+            macros: { ...math.macros },
+            output: 'html'
+        });
+    }
+
+    mathOptions() {
+        return { ...MATH_DEFAULTS, ...this.options.math };
+    }
+
+    sanitizePolicy() {
+        const { preset = 'default', ...overrides } = this.options.sanitize || {};
+        return { ...(SANITIZE_PRESETS[preset] || SANITIZE_PRESETS.default), ...overrides };
+    }
+
+    _sanitize(html) {
+        const policy = this.sanitizePolicy();
+        if (this.sanitizer) return this.sanitizer(html, policy);
+
+        const { DOMPurify } = this;
+        const blocked = [];
+
+        const protocols = policy.linkProtocols.map(p => p.replace(/[^\w+.-]/g, '')).join('|');
+        const uriPattern = new RegExp(`^(?:(?:${protocols}):|[^a-z]|[a-z+.\\-]+(?:[^a-z+.\\-:]|$))`, 'i');
+
+        // iframe 只允許白名單內的主機
+        DOMPurify.addHook('uponSanitizeElement', (node, data) => {
+            if (data.tagName !== 'iframe' || !node.parentNode || policy.forbiddenTags.includes('iframe')) return;
+            const src = node.getAttribute('src') || '';
+            if (!this._isAllowedIframe(src, policy.iframeHosts)) {
+                blocked.push({ type: 'element', tag: 'iframe', reason: 'iframe-host', value: src });
+                node.parentNode.removeChild(node);
+            }
+        });
+        // 標題 id 只在 Shadow DOM 內，不會覆蓋 document 屬性；避免 "title" 等 slug 被 DOM clobbering 檢查移除
+        DOMPurify.addHook('uponSanitizeAttribute', (node, data) => {
+            if (data.attrName === 'id' && /^H[1-6]$/.test(node.nodeName) && /^[\p{L}\p{M}\p{N}_-]+$/u.test(data.attrValue)) {
+                data.forceKeepAttr = true;
+            }
+        });
+        DOMPurify.addHook('afterSanitizeAttributes', node => {
+            if (policy.enforceNoopener && node.tagName === 'A' && node.hasAttribute('href')) {
+                const rel = new Set((node.getAttribute('rel') || '').split(/\s+/).filter(Boolean));
+                rel.add('noopener');
+                rel.add('noreferrer');
+                node.setAttribute('rel', Array.from(rel).join(' '));
+            }
+        });
+
+        try {
+            html = DOMPurify.sanitize(html, {
+                ADD_TAGS: policy.allowedTags,
+                FORBID_TAGS: policy.forbiddenTags,
+                ADD_ATTR: [...INTERNAL_ATTRS, ...policy.allowedAttributes],
+                FORBID_ATTR: policy.forbiddenAttributes,
+                ALLOWED_URI_REGEXP: uriPattern
+            });
+        } finally {
+            DOMPurify.removeHook('afterSanitizeAttributes');
+            DOMPurify.removeHook('uponSanitizeAttribute');
+            DOMPurify.removeHook('uponSanitizeElement');
+        }
+
+        DOMPurify.removed.forEach(item => {
+            if (item.element) {
+                blocked.push({ type: 'element', tag: item.element.nodeName.toLowerCase() });
+            } else if (item.attribute) {
+                blocked.push({
+                    type: 'attribute',
+                    tag: item.from ? item.from.nodeName.toLowerCase() : null,
+                    name: item.attribute.name,
+                    value: item.attribute.value
+                });
+            }
+        });
+        this.host.onBlocked(blocked);
+
+        return html;
+    }
+
+    _isAllowedIframe(src, hosts) {
+        try {
+            const url = new URL(src, typeof location !== 'undefined' ? location.href : undefined);
+            return /^https?:$/.test(url.protocol) && hosts.includes(url.hostname);
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+/**
+ * 將 Markdown 渲染成 HTML 字串，可在 Node（搭配 jsdom 的 DOMPurify 或自訂消毒函式）與 Web Worker 中使用。
+ * 輸出可交給 <akari-markdown> 的 hydrate() 接手。
+ *
+ * @param {string} markdown
+ * @param {object} options  依賴（Marked、DOMPurify 或 sanitize、katex、hljs、fences）與元素 config 相同的設定
+ * @returns {string}
+ */
+export function renderToString(markdown, { Marked, DOMPurify, sanitize, katex, hljs, fences, ...options } = {}) {
+    const renderer = new AkariRenderer({ Marked, DOMPurify, sanitize, libs: { katex, hljs }, fences, options });
+    return renderer.render(markdown || '');
+}
+
+/**
+ * 在 Web Worker 中提供渲染服務，搭配元素的 config.worker 使用。
+ * 收到 { type: 'render', channel, id, markdown, streaming, fences, options } 後回傳 parse() 的結果；
+ * 同一 channel 尚未處理的舊工作會被較新的取代，不再渲染。
+ *
+ * @param {object} deps
+ * @param {Function} deps.Marked
+ * @param {object|Function} [deps.katex]  KaTeX 模組，或回傳它的非同步載入函式
+ * @param {object|Function} [deps.hljs]   highlight.js 實例，或回傳它的非同步載入函式
+ * @param {Function} [deps.mhchem]        載入 KaTeX mhchem 擴充的非同步函式
+ * @param {Function} [deps.loadLanguage]  (name) => Promise<module|null>，按需載入 highlight.js 語言定義；不存在的語言回傳 null
+ * @param {object} [scope]  Worker 的全域物件
+ */
+export function serveRenderer({ Marked, katex, hljs, mhchem, loadLanguage }, scope = globalThis) {
+    const loaders = { katex, hljs, mhchem };
+    const libs = {
+        katex: typeof katex === 'function' ? null : katex,
+        hljs: typeof hljs === 'function' ? null : hljs
+    };
+    const unwrap = mod => (mod && mod.default) || mod;
+    const pending = new Set();
+    const done = new Set();
+
+    // 與元素相同：非同步載入，完成後通知主執行緒重新渲染
+    const requireRenderer = (name, load) => {
+        if (done.has(name)) return false;
+        if (pending.has(name)) return true;
+        if (!load && typeof loaders[name] !== 'function') return false;
+
+        pending.add(name);
+        load = load || (async () => {
+            libs[name] = unwrap(await loaders[name]());
+        });
+        // 失敗也通知，讓主執行緒重新渲染以移除 akari-loading 狀態
+        Promise.resolve().then(load).catch(err => {
+            console.warn(`[AkariMarkdown] Failed to load ${name} in worker:`, err);
+        }).then(() => {
+            pending.delete(name);
+            done.add(name);
+            scope.postMessage({ type: 'loaded', name });
+        });
+        return true;
+    };
+
+    let source = '';
+    let mathErrors = [];
+    const host = {
+        requireRenderer,
+        languageState(lang) {
+            if (!lang) return 'none';
+            if (!libs.hljs) return requireRenderer('hljs') ? 'loading' : 'none';
+            if (libs.hljs.getLanguage(lang)) return 'ready';
+            if (!loadLanguage) return 'none';
+
+            // 串流中資訊字串可能還沒打完（如 ```ja），等到換行後才載入語言
+            const lastLine = source.slice(source.lastIndexOf('\n') + 1);
+            if (/^ {0,3}(`{3,}|~{3,})/.test(lastLine)) return 'none';
+
+            const loading = requireRenderer(`language:${lang}`, async () => {
+                const definition = unwrap(await loadLanguage(lang));
+                if (definition) libs.hljs.registerLanguage(lang, definition);
+            });
+            return loading ? 'loading' : 'none';
+        },
+        onMathError(value, err) {
+            mathErrors.push({ tex: value.tex, display: value.display, message: err.message || String(err) });
+        }
+    };
+
+    // channel → 等待中的最新工作，與該 channel 的 renderer（設定不變時重複使用）
+    const jobs = new Map();
+    const renderers = new Map();
+    let draining = false;
+
+    const drain = () => {
+        const [channel, job] = jobs.entries().next().value;
+        jobs.delete(channel);
+
+        try {
+            const key = JSON.stringify([job.fences, job.options]);
+            let entry = renderers.get(channel);
+            if (!entry || entry.key !== key) {
+                entry = { key, renderer: new AkariRenderer({ Marked, libs, fences: job.fences, host, options: job.options }) };
+                renderers.set(channel, entry);
+            }
+
+            source = job.markdown;
+            mathErrors = [];
+            entry.renderer.slugs = new Map();
+            const { html, replacements } = entry.renderer.parse(job.markdown, { streaming: Boolean(job.streaming) });
+            scope.postMessage({ type: 'rendered', channel, id: job.id, html, replacements, mathErrors });
+        } catch (err) {
+            scope.postMessage({ type: 'error', channel, id: job.id, message: err.message || String(err) });
+        }
+
+        // 每個工作之間讓出執行緒，讓更新的訊息有機會取代還在排隊的舊工作
+        if (jobs.size > 0) {
+            setTimeout(drain, 0);
+        } else {
+            draining = false;
+        }
+    };
+
+    scope.addEventListener('message', ({ data }) => {
+        if (!data) return;
+        if (data.type === 'dispose') {
+            jobs.delete(data.channel);
+            renderers.delete(data.channel);
+            return;
+        }
+        if (data.type !== 'render') return;
+
+        jobs.set(data.channel, data);
+        if (!draining) {
+            draining = true;
+            setTimeout(drain, 0);
+        }
+    });
+}
+
+/**
+ * 依 CommonMark 規則掃描 fenced code 區塊（``` 或 ~~~、任意長度、可位於引用或清單項目內）。
+ * 標記相對於所在容器（清單項目內容）最多縮排 3 格，4 格以上是縮排式程式碼區塊。
+ * 結尾標記必須是相同字元且長度不小於開頭；未閉合的區塊延伸到文件結尾（或所在清單項目結束）。
+ *
+ * @param {string} text
+ * @returns {Array<{ start: number, end: number, lang: string, info: string, closed: boolean }>}
+ */
+export function scanFences(text) {
+    const blocks = [];
+    let open = null;
+    let items = [];     // 目前所在清單項目的內容起始欄位（由外而內）
+    let lineStart = 0;
+
+    while (lineStart <= text.length) {
+        let lineEnd = text.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = text.length;
+
+        // 去掉引用 (>) 前綴，再以欄位計算縮排（tab 視為 4 格）
+        const line = text.slice(lineStart, lineEnd).replace(/^(?:[ \t]*>[ ]?)*/, '');
+        const leading = line.match(/^[ \t]*/)[0];
+        const indent = leading.replace(/\t/g, '    ').length;
+        let content = line.slice(leading.length);
+
+        // 區塊所在的清單項目結束（縮排退到內容欄位之前）：區塊隨之結束
+        if (open && content && indent < open.column) {
+            blocks.push({ start: open.start, end: lineStart - 1, lang: open.lang, info: open.info, closed: true });
+            open = null;
+        }
+
+        if (!open) {
+            if (content) items = items.filter(column => column <= indent);
+            let column = items.length > 0 ? items[items.length - 1] : 0;
+
+            // 清單項目：內容欄位在標記之後，同一行也可以直接開始 fence
+            const item = content.match(/^([-*+]|\d{1,9}[.)])([ \t]+|$)/);
+            if (item) {
+                const gap = item[2].length > 4 || item[2].length === 0 ? 1 : item[2].length;
+                column = indent + item[1].length + gap;
+                items.push(column);
+                content = content.slice(item[0].length);
+            }
+
+            const match = indent - (item ? indent : column) <= 3 && content.match(/^(`{3,}|~{3,})(.*)$/);
+            // 反引號 fence 的資訊字串不得包含反引號（那是行內程式碼）
+            if (match && !(match[1][0] === '`' && match[2].includes('`'))) {
+                const info = match[2].trim();
+                open = { start: lineStart, marker: match[1], info, lang: info.split(/\s+/)[0] || '', column };
+            }
+        } else {
+            const match = indent - open.column <= 3 && content.match(/^(`{3,}|~{3,})[ \t]*$/);
+            if (match && match[1][0] === open.marker[0] && match[1].length >= open.marker.length) {
+                blocks.push({ start: open.start, end: lineEnd, lang: open.lang, info: open.info, closed: true });
+                open = null;
+            }
+        }
+        lineStart = lineEnd + 1;
+    }
+
+    if (open) {
+        blocks.push({ start: open.start, end: text.length, lang: open.lang, info: open.info, closed: false });
+    }
+    return blocks;
+}
+
+export function escapeHtml(text) {
+    const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return text.replace(/[&<>"']/g, m => map[m]);
+}
+
+export function hashCode(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash;
+    }
+    return hash.toString(36);
+}
+
+// 補全時不會自動關閉的 void 元素
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * 串流中的樂觀補全：只處理最後一個區塊，暫時補上未閉合的強調、行內程式碼、連結、
+ * 表格分隔列與 HTML 標籤，避免符號先以原文出現、下一個 tick 才變成格式。
+ * 回傳值只用於渲染，原始 Markdown 不會被修改。
+ *
+ * @param {string} text
+ * @param {Array<{ left: string, right: string, display: boolean }>} [delimiters] 數學式分隔符號，其內容不做補全
+ * @returns {string}
+ */
+export function completeMarkdown(text, delimiters = MATH_DEFAULTS.delimiters) {
+    // 仍在 fence 內：交給 fence 的串流佔位
+    const fenceBlocks = scanFences(text);
+    const lastFence = fenceBlocks[fenceBlocks.length - 1];
+    if (lastFence && !lastFence.closed) return text;
+
+    // 最後一個區塊：最後一個空行之後，且不早於最後一個 fence 的結尾
+    let start = lastFence ? lastFence.end : 0;
+    const blankLine = /\n[ \t]*\n/g;
+    let found;
+    while ((found = blankLine.exec(text))) {
+        start = Math.max(start, found.index + found[0].length);
+    }
+    const head = text.slice(0, start);
+    let tail = text.slice(start).replace(/\s+$/, '');
+    if (!tail) return text;
+
+    // 分析用的遮罩：數學式、行內程式碼與 HTML 標籤換成等長空白，保留換行
+    const blank = str => str.replace(/[^\n]/g, ' ');
+    const escape = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let masked = tail;
+    for (const { left, right, display } of [...delimiters].sort((a, b) => b.display - a.display)) {
+        const body = display ? '[\\s\\S]*?' : '[^\\n]*?';
+        masked = masked.replace(new RegExp(`${escape(left)}${body}${escape(right)}`, 'g'), blank);
+        const open = masked.lastIndexOf(left);
+        if (open === -1 || (!display && masked.lastIndexOf('\n') > open)) continue;
+        // 未閉合的 display 數學交給數學的串流佔位；未閉合的行內數學不參與分析
+        if (display) return text;
+        masked = masked.slice(0, open) + blank(masked.slice(open));
+    }
+
+    const lineStart = masked.lastIndexOf('\n') + 1;
+    let line = masked.slice(lineStart);
+    let closers = '';
+
+    // 行內程式碼：成對的反引號遮住，落單的補上相同長度的結尾
+    line = line.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, blank);
+    const tick = /`+/.exec(line);
+    if (tick) {
+        closers = tick[0];
+        line = line.slice(0, tick.index) + blank(line.slice(tick.index));
+    }
+    line = line.replace(/<\/?[a-zA-Z][^<>]*>/g, blank);
+
+    // 寫到一半的標籤（如 "<deta"）或圖片（避免以不完整的網址發出請求）先隱藏
+    const partial = /<\/?[a-zA-Z][^<>]*$|!\[[^\[\]]*\](?:\([^()]*)?$|!\[[^\[\]]*$/.exec(line);
+    if (partial && !closers) {
+        tail = tail.slice(0, lineStart + partial.index).replace(/\s+$/, '');
+        line = line.slice(0, partial.index);
+    }
+
+    // 連結網址尚未結束："[text](htt" → "[text](htt)"
+    if (!closers && /\[[^\[\]]*\]\([^()\s]*$/.test(line)) {
+        closers = ')';
+    }
+
+    // 強調：以堆疊配對 *、_、~~，剩下的開頭依相反順序補上結尾
+    const stack = [];
+    const emphasis = /\*+|_+|~~/g;
+    let run;
+    while ((run = emphasis.exec(line))) {
+        const prev = line[run.index - 1] || ' ';
+        // 行尾的符號視為可開啟，稍後當作「剛輸入的開頭」隱藏
+        const next = line[run.index + run[0].length] || 'x';
+        // 單字中間的底線（snake_case）不是強調
+        if (run[0][0] === '_' && /[\p{L}\p{N}]/u.test(prev) && /[\p{L}\p{N}]/u.test(next)) continue;
+
+        const top = stack[stack.length - 1];
+        if (top && top.run === run[0] && !/\s/.test(prev)) {
+            stack.pop();
+        } else if (!/\s/.test(next)) {
+            stack.push({ run: run[0], index: run.index });
+        }
+    }
+    // 剛輸入、後面還沒有文字的開頭符號直接隱藏，不補成空的強調
+    const last = stack[stack.length - 1];
+    if (!closers && last && !line.slice(last.index + last.run.length).trim()) {
+        tail = tail.slice(0, lineStart + last.index).replace(/\s+$/, '');
+        stack.pop();
+    }
+    if (!tick) {
+        closers = stack.reverse().map(item => item.run).join('') + closers;
+    }
+    tail += closers;
+
+    // 表格：分隔列還沒打完時依標題列的欄數補齊，避免先以段落顯示
+    const rows = tail.split('\n');
+    const cells = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/).length;
+    if (rows.length === 2 && rows[0].includes('|') && /^[ \t]*[|:-][ \t|:-]*$/.test(rows[1])
+        && cells(rows[1]) <= cells(rows[0])) {
+        rows[1] = `|${' --- |'.repeat(cells(rows[0]))}`;
+        tail = rows.join('\n');
+    }
+
+    // HTML：關閉最後一個區塊中仍開啟的標籤
+    const tags = [];
+    const tagPattern = /<(\/?)([a-zA-Z][\w-]*)[^<>]*?(\/?)>/g;
+    let tag;
+    while ((tag = tagPattern.exec(masked))) {
+        const name = tag[2].toLowerCase();
+        if (VOID_TAGS.has(name) || tag[3]) continue;
+        if (!tag[1]) {
+            tags.push(name);
+        } else if (tags.lastIndexOf(name) !== -1) {
+            tags.length = tags.lastIndexOf(name);
+        }
+    }
+    if (tags.length > 0) {
+        tail += tags.reverse().map(name => `</${name}>`).join('');
+    }
+
+    return head + tail;
+}
+
+// 不使用 <textarea> 的 HTML 實體解碼，只處理 marked 與常見的實體
+export function decodeHtml(html) {
+    return html.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return NAMED_ENTITIES[entity] || match;
+        const code = /^#x/i.test(entity) ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+}
@@ -0,0 +1,13 @@
+/*!
+ * AKARI-Markdown.js v1.2.0 - Worker
+ * (c) 2026 h-o-w-a-r-d
+ * Released under the MIT License.
+ * Repository: https://github.com/h-o-w-a-r-d/AKARI-Markdown.js
+ */
+
+// 預設的 module Worker：使用 CDN 依賴執行 serveRenderer()，由 config.worker 啟用
+
+import { serveRenderer } from './akari-markdown-renderer.js';
+import { Marked, CDN_LOADERS } from './akari-markdown-cdn.js';
+
+serveRenderer({ Marked, ...CDN_LOADERS });
@@ -0,0 +1,47 @@
+/* --- START OF FILE akari-markdown.js --- */
+
+/*!
+ * AKARI-Markdown.js v1.2.0 (Incremental Streaming)
+ * (c) 2026 h-o-w-a-r-d
+ * Released under the MIT License.
+ * Repository: https://github.com/h-o-w-a-r-d/AKARI-Markdown.js
+ */
+
+import { createAkariMarkdown } from './akari-markdown-core.js';
+import { Marked, CDN_LOADERS } from './akari-markdown-cdn.js';
+import DOMPurify from 'https://esm.sh/dompurify@3.0.9';
+
+const SHADOW_STYLES = [
+    'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css'
+];
+
+// 依配色切換的 Markdown 與程式碼高亮主題
+const THEME_STYLES = {
+    dark: [
+        'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/vs2015.min.css',
+        'https://cdnjs.cloudflare.com/ajax/libs/github-markdown-css/5.5.0/github-markdown-dark.min.css'
+    ],
+    light: [
+        'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css',
+        'https://cdnjs.cloudflare.com/ajax/libs/github-markdown-css/5.5.0/github-markdown-light.min.css'
+    ]
+};
+
+// 預設入口：使用 CDN 上的依賴，零設定即可使用
+export const AkariMarkdownElement = createAkariMarkdown({
+    Marked,
+    DOMPurify,
+    ...CDN_LOADERS,
+    // CDN 上的腳本不能直接作為跨來源 Worker，改由同源的 blob 模組 import
+    createWorker: () => {
+        const url = new URL('./akari-markdown-worker.js', import.meta.url).href;
+        const blob = new Blob([`import ${JSON.stringify(url)};`], { type: 'text/javascript' });
+        return new Worker(URL.createObjectURL(blob), { type: 'module' });
+    },
+    styles: SHADOW_STYLES,
+    themes: THEME_STYLES
+});
+
+export { createAkariMarkdown };
+
+customElements.define('akari-markdown', AkariMarkdownElement);